@@ -8,3 +8,9 @@ var __wpcc = {};
 
 /** @type {string|undefined} */
 __wpcc.nc;
+
+/**
+ * Imports a chunk file when the output is emitted as ES modules
+ * @type {(function(string):!Promise<?>|undefined)}
+ */
+__wpcc.im;
@@ -18,6 +18,49 @@ var _WEBPACK_TIMEOUT_ = 120000;
 /** @define {string} */
 var _WEBPACK_PUBLIC_PATH_ = '';
 
+/**
+ * Name of the global JSONP callback of the chunk files
+ * @define {string}
+ */
+var _WEBPACK_JSONP_FUNCTION_ = 'webpackJsonp';
+
+/**
+ * Value of output.crossOriginLoading, empty when disabled
+ * @define {string}
+ */
+var _WEBPACK_CROSS_ORIGIN_LOADING_ = '';
+
+/**
+ * Number of times a chunk which failed to load is requested again
+ * @define {number}
+ */
+var _WEBPACK_CHUNK_LOAD_RETRIES_ = 0;
+
+/**
+ * Delay in milliseconds before the first retry, doubled for each further retry
+ * @define {number}
+ */
+var _WEBPACK_CHUNK_LOAD_RETRY_DELAY_ = 1000;
+
+/**
+ * Name of the Trusted Types policy creating chunk script URLs, empty when disabled
+ * @define {string}
+ */
+var _WEBPACK_TRUSTED_TYPES_POLICY_ = '';
+
+/**
+ * Suffix of the output language inserted before the extension of chunk files
+ * @define {string}
+ */
+var _WEBPACK_CHUNK_SUFFIX_ = '';
+
+/**
+ * Path from the directory of the file containing the runtime to output.path, which the
+ * chunk files of the node target are resolved against
+ * @define {string}
+ */
+var _WEBPACK_OUTPUT_ROOT_ = '';
+
 var __webpack_require__;
 if (typeof __webpack_require__ === 'undefined') {
   __webpack_require__ = function(m) {};
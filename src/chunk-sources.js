@@ -1,5 +1,6 @@
 const toSafePath = require('./safe-path');
 const getWebpackModuleName = require('./module-name');
+const { getChunkModules, getModuleId } = require('./webpack-compat');
 
 let uniqueId = 1;
 module.exports = function getChunkSources(chunk, compilation) {
@@ -15,7 +16,8 @@ module.exports = function getChunkSources(chunk, compilation) {
   }
 
   const getModuleSrcObject = (webpackModule) => {
-    const modulePath = getWebpackModuleName(webpackModule);
+    const modulePath = getWebpackModuleName(webpackModule, compilation);
+    const moduleId = getModuleId(compilation, webpackModule);
     let src = '';
     let sourceMap = null;
     if (/javascript/.test(webpackModule.type)) {
@@ -37,10 +39,10 @@ module.exports = function getChunkSources(chunk, compilation) {
       src,
       sourceMap,
       webpackId:
-        webpackModule.id !== null &&
-        webpackModule.id !== undefined && // eslint-disable-line no-undefined
-        webpackModule.id.toString().length > 0
-          ? `${webpackModule.id}`
+        moduleId !== null &&
+        moduleId !== undefined && // eslint-disable-line no-undefined
+        moduleId.toString().length > 0
+          ? `${moduleId}`
           : null,
     };
   };
@@ -60,8 +62,7 @@ module.exports = function getChunkSources(chunk, compilation) {
     return chunkModules;
   };
 
-  return chunk
-    .getModules()
+  return getChunkModules(compilation, chunk)
     .reduce(getChunkModuleSources, [])
     .filter(
       (moduleJson) =>
@@ -0,0 +1,45 @@
+const WebpackError = require('webpack/lib/WebpackError');
+
+/**
+ * An error or warning reported by closure-compiler.
+ *
+ * The raw JSON diagnostic is available as `diagnostic` and the closure-compiler
+ * diagnostic key (such as `JSC_TYPE_MISMATCH`) as `key`. When the diagnostic can
+ * be traced back to a webpack module, `module` and `loc` are set.
+ */
+class ClosureCompilerError extends WebpackError {
+  /**
+   * @param {string} message
+   * @param {!{
+   *   level: string,
+   *   description: string,
+   *   key: (string|undefined)
+   * }} diagnostic
+   * @param {?Module=} webpackModule
+   * @param {?{
+   *   start: {line: number, column: (number|undefined)},
+   *   end: ({line: number, column: number}|undefined)
+   * }=} loc
+   */
+  constructor(message, diagnostic, webpackModule, loc) {
+    super(message);
+    this.name =
+      diagnostic.level === 'error'
+        ? 'ClosureCompilerError'
+        : 'ClosureCompilerWarning';
+    this.key = diagnostic.key;
+    this.level = diagnostic.level;
+    this.diagnostic = diagnostic;
+    this.hideStack = true;
+    if (webpackModule) {
+      this.module = webpackModule;
+    }
+    if (loc) {
+      this.loc = loc;
+    }
+
+    Error.captureStackTrace(this, this.constructor);
+  }
+}
+
+module.exports = ClosureCompilerError;
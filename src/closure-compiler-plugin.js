@@ -1,4 +1,5 @@
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
 const { Readable } = require('stream');
 const googleClosureCompiler = require('google-closure-compiler');
@@ -8,6 +9,8 @@ const {
 } = require('google-closure-compiler/lib/utils');
 const { ConcatSource, SourceMapSource, RawSource } = require('webpack-sources');
 const Chunk = require('webpack/lib/Chunk');
+const ModuleFilenameHelpers = require('webpack/lib/ModuleFilenameHelpers');
+const SourceMapDevToolPlugin = require('webpack/lib/SourceMapDevToolPlugin');
 const ChunkGroup = require('webpack/lib/ChunkGroup');
 const RequestShortener = require('webpack/lib/RequestShortener');
 const ModuleTemplate = require('webpack/lib/ModuleTemplate');
@@ -25,16 +28,105 @@ const getChunkSources = require('./chunk-sources');
 const getWebpackModuleName = require('./module-name');
 const ClosureLibraryPlugin = require('./closure-library-plugin');
 const findNearestCommonParentChunk = require('./common-ancestor');
+const linkEsModuleChunks = require('./es-module-links');
+const CompilationCache = require('./compilation-cache');
+const CompilerQueue = require('./compiler-queue');
+const CompilerDaemon = require('./compiler-daemon');
+const ClosureCompilerError = require('./closure-compiler-error');
+const DiagnosticRules = require('./diagnostic-rules');
+const WarningsBaseline = require('./warnings-baseline');
+const SizeReport = require('./size-report');
+const RenamingMaps = require('./renaming-maps');
+const getExternalsExterns = require('./externals-externs');
+const getPackageExterns = require('./package-externs');
+const updateContentHashes = require('./real-content-hash');
+const {
+  SUPPORTED_LIBRARY_TARGETS,
+  getLibraryChunkWrapper,
+  getLibraryExportsSource,
+  isLibraryOutput,
+} = require('./library-output');
+const {
+  addIntegrity,
+  getIntegrityPlaceholder,
+} = require('./subresource-integrity');
+const webpackCompat = require('./webpack-compat');
+
+/**
+ * Runtimes which load late chunks in AGGRESSIVE_BUNDLE mode by webpack target.
+ * Other targets use the web runtime.
+ */
+const CHUNK_LOADING_RUNTIMES = {
+  web: ['./runtime-jsonp.js', './runtime-web.js'],
+  webworker: ['./runtime-jsonp.js', './runtime-webworker.js'],
+  node: ['./runtime-node.js'],
+  'async-node': ['./runtime-node.js'],
+};
+
+/**
+ * @param {!Compilation} compilation
+ * @return {boolean} whether chunks are loaded as CommonJS modules
+ */
+function isNodeTarget(compilation) {
+  return (
+    CHUNK_LOADING_RUNTIMES[compilation.options.target] ===
+    CHUNK_LOADING_RUNTIMES.node
+  );
+}
+
+/**
+ * @param {!Compilation} compilation
+ * @return {boolean} whether chunks are loaded with script tags, which can be prefetched
+ *     and preloaded with link tags
+ */
+function isWebTarget(compilation) {
+  return (
+    (CHUNK_LOADING_RUNTIMES[compilation.options.target] ||
+      CHUNK_LOADING_RUNTIMES.web) === CHUNK_LOADING_RUNTIMES.web
+  );
+}
+
+/**
+ * Wrapper of the entry chunks in AGGRESSIVE_BUNDLE mode. Chunks share the namespace object
+ * through the global object of the webpack target.
+ *
+ * @param {!Compilation} compilation
+ * @param {string} namespace
+ * @return {string}
+ */
+function getEntryChunkWrapper(compilation, namespace) {
+  const globalObject = compilation.outputOptions.globalObject || 'window';
+  return `(function(${namespace}){%s}).call(this || ${globalObject}, (${globalObject}.${namespace} = ${globalObject}.${namespace} || {}));`;
+}
 
-const ENTRY_CHUNK_WRAPPER =
-  '(function(__wpcc){%s}).call(this || window, (window.__wpcc = window.__wpcc || {}));';
+/**
+ * Wrapper of the late loaded chunks in AGGRESSIVE_BUNDLE mode. Chunks register themselves
+ * through the JSONP callback of the runtime, or export their ids and function as CommonJS
+ * modules for node targets.
+ *
+ * @param {!Compilation} compilation
+ * @param {!Chunk} chunk
+ * @param {string} namespace
+ * @param {string} jsonpFunction
+ * @return {string}
+ */
+function getChunkWrapper(compilation, chunk, namespace, jsonpFunction) {
+  if (isNodeTarget(compilation)) {
+    return `exports.ids=[${chunk.id}];exports.modules=function(${namespace}){%s};`;
+  }
+  const globalObject = compilation.outputOptions.globalObject || 'window';
+  return `${globalObject}[${JSON.stringify(jsonpFunction)}]([${
+    chunk.id
+  }], function(${namespace}){%s});`;
+}
 
 /**
  * @typedef {Map<string, {
  *   name:string,
  *   parentNames:!Set<string>,
  *   sources: !Array<{path: string, source: string: sourceMap: string}>,
- *   outputWrapper: (string|undefined)
+ *   outputWrapper: (string|undefined),
+ *   skipped: (boolean|undefined)
  * }>}
  */
 var ChunkMap;
@@ -48,8 +140,9 @@ var ChunkMap;
  * @return {string|undefined}
  */
 function findChunkFile(chunk, chunkId, outputFilePath) {
-  for (let i = 0; i < chunk.files.length; i++) {
-    const chunkFile = chunk.files[i];
+  const chunkFiles = webpackCompat.getChunkFiles(chunk);
+  for (let i = 0; i < chunkFiles.length; i++) {
+    const chunkFile = chunkFiles[i];
     let normalizedOutputFilePath = outputFilePath.replace(/^\.\//, '');
     if (!/\.js$/.test(chunkFile)) {
       normalizedOutputFilePath = normalizedOutputFilePath.substr(
@@ -63,11 +156,61 @@ function findChunkFile(chunk, chunkId, outputFilePath) {
     }
   }
   if (chunk.id === chunkId) {
-    return chunk.files[0];
+    return chunkFiles[0];
   }
   return undefined; // eslint-disable-line no-undefined
 }
 
+/**
+ * Find the chunk compiled to a closure-compiler output file in AGGRESSIVE_BUNDLE mode.
+ *
+ * @param {!Compilation} compilation
+ * @param {string} outputFilePath
+ * @return {{chunk: (!Chunk|undefined), chunkFile: (string|undefined)}} no chunk is
+ *     returned when the output file has no asset
+ */
+function findOutputChunk(compilation, outputFilePath) {
+  const chunkIdParts = /chunk-(\d+)\.js/.exec(outputFilePath);
+  let chunkId;
+  if (chunkIdParts) {
+    chunkId = parseInt(chunkIdParts[1], 10);
+  }
+  const chunk = compilation.chunks.find((chunk_) =>
+    findChunkFile(chunk_, chunkId, outputFilePath)
+  );
+  if (!chunk || (chunk.isEmpty() && chunk.files.length === 0)) {
+    return {};
+  }
+  return { chunk, chunkFile: findChunkFile(chunk, chunkId, outputFilePath) };
+}
+
+/**
+ * Insert the suffix of an output language before the extension of a file name.
+ *
+ * @param {string} filename
+ * @param {string|undefined} suffix
+ * @return {string}
+ */
+function addLanguageSuffix(filename, suffix) {
+  if (!suffix) {
+    return filename;
+  }
+  if (/\.js(\?.*)?$/.test(filename)) {
+    return filename.replace(/\.js(\?.*)?$/, `${suffix}.js$1`);
+  }
+  return filename + suffix;
+}
+
+/**
+ * Name of the chunk definition which produced a closure-compiler output file.
+ *
+ * @param {string} outputFilePath
+ * @return {string}
+ */
+function getChunkDefName(outputFilePath) {
+  return outputFilePath.replace(/^\.\//, '').replace(/\.js$/, '');
+}
+
 let baseChunkCount = 1;
 const PLUGIN = { name: 'closure-compiler-plugin' };
 
@@ -99,32 +242,242 @@ class ClosureCompilerPlugin {
       this.options.extraCommandArgs = [this.options.extraCommandArgs];
     }
 
-    if (this.options.mode === 'STANDARD') {
-      this.compilerFlags = Object.assign(
-        {},
-        ClosureCompilerPlugin.DEFAULT_FLAGS_STANDARD,
-        compilerFlags || {}
+    if (this.options.cache === true) {
+      this.options.cache = {};
+    }
+
+    if (this.options.diagnostics) {
+      this.diagnosticRules = new DiagnosticRules(this.options.diagnostics);
+    }
+
+    if (typeof this.options.baseline === 'string') {
+      this.options.baseline = { path: this.options.baseline };
+    }
+
+    if (this.options.sizeReport) {
+      this.options.sizeReport = Object.assign(
+        { filename: 'closure-size-report.json', html: false },
+        this.options.sizeReport === true ? {} : this.options.sizeReport
       );
-    } else if (this.options.mode === 'AGGRESSIVE_BUNDLE') {
-      this.compilerFlags = Object.assign(
-        {},
-        ClosureCompilerPlugin.DEFAULT_FLAGS_AGGRESSIVE_BUNDLE,
-        compilerFlags || {}
+      if (this.options.sizeReport.html === true) {
+        this.options.sizeReport.html = 'closure-size-report.html';
+      }
+    }
+
+    if (this.options.outputLanguages) {
+      const { outputLanguages } = this.options;
+      const languages = new Set(outputLanguages.map((l) => l.language_out));
+      const suffixes = new Set(outputLanguages.map((l) => l.suffix || ''));
+      if (
+        languages.size !== outputLanguages.length ||
+        suffixes.size !== outputLanguages.length
+      ) {
+        throw new Error(
+          'closure-webpack-plugin: each of the outputLanguages must have a different language_out and suffix'
+        );
+      }
+    }
+
+    // All chunks share a single scope in AGGRESSIVE_BUNDLE mode, so none of them can be left out
+    if (
+      this.options.mode === 'AGGRESSIVE_BUNDLE' &&
+      options &&
+      ['test', 'include', 'exclude'].some((option) => option in options)
+    ) {
+      throw new Error(
+        'closure-webpack-plugin: the test, include and exclude options are only supported in STANDARD mode'
       );
     }
 
+    if (this.options.esModuleOutput) {
+      if (this.options.mode !== 'AGGRESSIVE_BUNDLE') {
+        throw new Error(
+          'closure-webpack-plugin: esModuleOutput is only supported in AGGRESSIVE_BUNDLE mode'
+        );
+      }
+      // Entry chunks import the runtime file of their own output language
+      if (this.options.outputLanguages) {
+        throw new Error(
+          'closure-webpack-plugin: esModuleOutput cannot be combined with outputLanguages'
+        );
+      }
+    }
+
+    if (typeof compilerFlags === 'function') {
+      this.compilerFlagsFactory = compilerFlags;
+      this.compilerFlags = this.applyDefaultFlags({});
+    } else {
+      this.compilerFlags = this.applyDefaultFlags(compilerFlags || {});
+    }
+
+    if (!this.options.parallelism) {
+      this.options.parallelism = (os.cpus() || []).length || 1;
+    }
+    this.compilerQueue = new CompilerQueue(this.options.parallelism);
+
     this.optimizedCompilations = new Set();
+
+    /** @type {!Set<!Compilation>} compilations which are optimizing chunk assets */
+    this.activeCompilations = new Set();
+    /** @type {!WeakSet<!Compilation>} */
+    this.cancelledCompilations = new WeakSet();
+    /** @type {!Set<function()>} functions which stop a running closure-compiler */
+    this.runningCompilers = new Set();
+    /** @type {!WeakMap<!Compilation, !Map<string, !Module>>} */
+    this.modulesBySourcePath = new WeakMap();
+    /** @type {!WeakMap<!Compilation, !Map<number, number>>} diagnostics matched per rule */
+    this.diagnosticRuleCounts = new WeakMap();
+    /**
+     * @type {!WeakMap<!Compilation, {
+     *   baselineCounts: ?Map<string, number>,
+     *   entries: !Array<!Object>
+     * }>} warnings baseline comparison per compilation
+     */
+    this.baselineStates = new WeakMap();
+    /**
+     * @type {!WeakMap<!Compilation, !Map<string, {chunk: !Chunk, inputSize: number}>>}
+     *     compiled output files and the size of their sources
+     */
+    this.compiledAssets = new WeakMap();
+    this.integrityPlaceholderChunks = new WeakMap();
+    this.integrityInputs = new WeakMap();
+    /** @type {!WeakMap<!Compilation, !Array<{path: string, src: string}>>} */
+    this.externsSources = new WeakMap();
+    /**
+     * @type {!Map<string, {input: string, output: !Source}>} transpiled files of the
+     *     previous development build and the webpack output they were produced from
+     */
+    this.transpiledAssets = new Map();
     this.BASE_CHUNK_NAME = `required-base-${baseChunkCount}`;
     baseChunkCount += 1;
   }
 
+  /**
+   * @param {!Object<string, (string|!Array<string>|boolean)>} compilerFlags
+   * @return {!Object<string, (string|!Array<string>|boolean)>}
+   */
+  applyDefaultFlags(compilerFlags) {
+    if (this.options.mode === 'AGGRESSIVE_BUNDLE') {
+      return Object.assign(
+        {},
+        ClosureCompilerPlugin.DEFAULT_FLAGS_AGGRESSIVE_BUNDLE,
+        { rename_prefix_namespace: this.options.namespace },
+        compilerFlags
+      );
+    }
+    return Object.assign(
+      {},
+      ClosureCompilerPlugin.DEFAULT_FLAGS_STANDARD,
+      compilerFlags
+    );
+  }
+
+  /**
+   * Flags for a single closure-compiler invocation. When the compiler flags were provided
+   * as a function, it is called with the entry chunk being compiled (or null in
+   * AGGRESSIVE_BUNDLE mode, where all chunks are compiled together) and the compilation.
+   *
+   * @param {?Chunk} entryChunk
+   * @param {!Compilation} compilation
+   * @return {!Object<string, (string|!Array<string>|boolean)>}
+   */
+  getCompilerFlags(entryChunk, compilation) {
+    if (!this.compilerFlagsFactory) {
+      return this.compilerFlags;
+    }
+    return this.applyDefaultFlags(
+      this.compilerFlagsFactory(entryChunk, compilation) || {}
+    );
+  }
+
   apply(compiler) {
+    if (webpackCompat.WEBPACK_MAJOR_VERSION >= 5) {
+      // Both rely on replacing the webpack 4 main and module templates
+      if (this.options.mode === 'AGGRESSIVE_BUNDLE') {
+        throw new Error(
+          `${PLUGIN.name}: AGGRESSIVE_BUNDLE mode is not supported with webpack 5. Use STANDARD mode.`
+        );
+      }
+      if (this.options.outputLanguages) {
+        throw new Error(
+          `${PLUGIN.name}: The outputLanguages option is not supported with webpack 5.`
+        );
+      }
+      // Webpack 5 rewrites the assets after closure-compiler when it updates content hashes
+      if (this.options.subresourceIntegrity) {
+        throw new Error(
+          `${PLUGIN.name}: The subresourceIntegrity option is not supported with webpack 5. Use webpack-subresource-integrity.`
+        );
+      }
+    }
+    const { libraryTarget = 'var' } = compiler.options.output;
+    if (
+      this.options.mode === 'AGGRESSIVE_BUNDLE' &&
+      isLibraryOutput(compiler.options.output)
+    ) {
+      if (!SUPPORTED_LIBRARY_TARGETS.has(libraryTarget)) {
+        throw new Error(
+          `${PLUGIN.name}: output.libraryTarget '${libraryTarget}' is not supported in AGGRESSIVE_BUNDLE mode.`
+        );
+      }
+      if (this.options.esModuleOutput) {
+        throw new Error(
+          `${PLUGIN.name}: esModuleOutput cannot be combined with output.library.`
+        );
+      }
+    }
+    this.context = compiler.context;
     this.requestShortener = new RequestShortener(compiler.context);
 
+    if (this.options.renamingMaps) {
+      this.renamingMaps = new RenamingMaps(
+        path.resolve(compiler.context, this.options.renamingMaps)
+      );
+    }
+
+    if (this.options.baseline) {
+      this.warningsBaseline = new WarningsBaseline(
+        path.resolve(compiler.context, this.options.baseline.path)
+      );
+    }
+
+    if (this.options.cache) {
+      this.cache = new CompilationCache(
+        Object.assign(
+          {
+            directory: path.resolve(
+              compiler.context,
+              'node_modules',
+              '.cache',
+              'closure-webpack-plugin'
+            ),
+            maxSize: ClosureCompilerPlugin.DEFAULT_CACHE_MAX_SIZE,
+          },
+          this.options.cache
+        )
+      );
+    }
+
+    // Results of a closure-compiler run which is still in progress when the build is
+    // invalidated would be written into a stale compilation
+    compiler.hooks.invalid.tap(PLUGIN, () =>
+      this.cancelRunningCompilers(compiler)
+    );
+    compiler.hooks.watchClose.tap(PLUGIN, () =>
+      this.cancelRunningCompilers(compiler)
+    );
+
+    if (this.options.compilerServer) {
+      this.applyCompilerServer(compiler);
+    }
+
     if (this.options.mode === 'AGGRESSIVE_BUNDLE') {
       compiler.hooks.thisCompilation.tap(
         PLUGIN,
         (compilation, { normalModuleFactory }) => {
+          if (this.getDevelopmentStrategy(compilation.compiler) !== 'full') {
+            return;
+          }
           compilation.runtimeTemplate = new ClosureRuntimeTemplate(
             compilation.outputOptions,
             compilation.requestShortener
@@ -160,6 +513,72 @@ class ClosureCompilerPlugin {
     );
   }
 
+  /**
+   * The pipeline which produces the chunk assets. The development strategy only applies
+   * when the webpack mode is `development`, production builds are always compiled in
+   * full, also when webpack watches.
+   *
+   * @param {!Compiler} compiler
+   * @return {string} `full`, `skip` or `transpile`
+   */
+  getDevelopmentStrategy(compiler) {
+    return compiler.options.mode === 'development'
+      ? this.options.developmentStrategy
+      : 'full';
+  }
+
+  /**
+   * Start a long-lived closure-compiler server for this webpack compiler. The server
+   * is launched while webpack builds modules so that its own startup is done by the
+   * time the chunk assets are optimized, and is reused for every rebuild in watch mode.
+   *
+   * @param {!Compiler} compiler
+   */
+  applyCompilerServer(compiler) {
+    const { command, args } = this.options.compilerServer;
+    this.compilerDaemon = new CompilerDaemon(command, args || []);
+
+    const startServer = (compilerArg, cb) => {
+      this.compilerDaemon.start();
+      cb();
+    };
+    compiler.hooks.run.tapAsync(PLUGIN, startServer);
+    compiler.hooks.watchRun.tapAsync(PLUGIN, startServer);
+
+    // Outside of watch mode, the open server process would prevent node from exiting
+    const stopServer = () => {
+      if (!compiler.watchMode) {
+        this.compilerDaemon.stop();
+      }
+    };
+    compiler.hooks.done.tap(PLUGIN, stopServer);
+    compiler.hooks.failed.tap(PLUGIN, stopServer);
+    compiler.hooks.watchClose.tap(PLUGIN, () => this.compilerDaemon.stop());
+  }
+
+  /**
+   * Stop every closure-compiler process started for the current build. Compilations
+   * which were optimizing chunk assets complete without output or errors.
+   *
+   * @param {!Compiler} compiler
+   */
+  cancelRunningCompilers(compiler) {
+    if (this.activeCompilations.size === 0) {
+      return;
+    }
+    const logger = compiler.getInfrastructureLogger(PLUGIN.name);
+    logger.log(
+      `Build invalidated. Cancelling ${this.runningCompilers.size} closure-compiler run(s).`
+    );
+    this.activeCompilations.forEach((compilation) =>
+      this.cancelledCompilations.add(compilation)
+    );
+    this.activeCompilations.clear();
+    const runningCompilers = Array.from(this.runningCompilers);
+    this.runningCompilers.clear();
+    runningCompilers.forEach((cancel) => cancel());
+  }
+
   compilation_(compilation, { normalModuleFactory }) {
     const runFullCompilation =
       !compilation.compiler.parentCompilation ||
@@ -169,6 +588,50 @@ class ClosureCompilerPlugin {
       return;
     }
 
+    const developmentStrategy = this.getDevelopmentStrategy(
+      compilation.compiler
+    );
+    // Closure-compiler cannot parse the optional chaining of the webpack 5 runtime
+    const { environment } = compilation.outputOptions;
+    if (
+      developmentStrategy !== 'skip' &&
+      environment &&
+      environment.optionalChaining
+    ) {
+      compilation.errors.push(
+        new Error(
+          PLUGIN.name +
+            ': closure-compiler cannot parse the optional chaining of the webpack runtime.\n' +
+            JSON.stringify(
+              {
+                output: {
+                  environment: {
+                    optionalChaining: false,
+                  },
+                },
+              },
+              null,
+              2
+            )
+        )
+      );
+    }
+    if (developmentStrategy !== 'full') {
+      // The webpack bundles and runtime are kept, whatever the mode option
+      webpackCompat.tapOptimizeChunkAssets(
+        compilation,
+        PLUGIN,
+        (originalChunks, cb) =>
+          this.developmentBundle(
+            compilation,
+            originalChunks,
+            developmentStrategy,
+            cb
+          )
+      );
+      return;
+    }
+
     if (this.options.mode === 'AGGRESSIVE_BUNDLE') {
       // These default webpack optimizations are not compatible with this mode
       if (compilation.options.optimization.concatenateModules) {
@@ -188,6 +651,17 @@ class ClosureCompilerPlugin {
           )
         );
       }
+      // The name is inserted in a string define, which closure-compiler does not unescape
+      const jsonpFunction = this.getJsonpFunction(compilation);
+      if (!/^[A-Za-z_$][\w$]*$/.test(jsonpFunction)) {
+        compilation.errors.push(
+          new Error(
+            `${PLUGIN.name}: The JSONP function ${JSON.stringify(
+              jsonpFunction
+            )} of AGGRESSIVE_BUNDLE mode must be a JavaScript identifier. Set the jsonpFunction option.`
+          )
+        );
+      }
 
       const dependencyFactoriesByName = new Map();
       compilation.dependencyFactories.forEach((val, key) => {
@@ -307,14 +781,41 @@ class ClosureCompilerPlugin {
       );
     }
 
-    compilation.mainTemplate.hooks.hash.tap(
-      'SetVarMainTemplatePlugin',
-      (hash) => {
-        hash.update('set var');
-        hash.update(`${this.varExpression}`);
-        hash.update(`${this.copyObject}`);
-      }
-    );
+    if (
+      this.options.outputLanguages &&
+      this.options.mode !== 'AGGRESSIVE_BUNDLE'
+    ) {
+      // Load child chunks compiled for the same output language as the runtime.
+      // The suffix is set for each language with a closure-compiler define.
+      compilation.mainTemplate.hooks.localVars.tap(PLUGIN, (source) => {
+        if (!/function jsonpScriptSrc\(/.test(source)) {
+          return source;
+        }
+        return `${source}
+if (typeof _WEBPACK_CHUNK_SUFFIX_ === 'string' && _WEBPACK_CHUNK_SUFFIX_) {
+  jsonpScriptSrc = (function(scriptSrc) {
+    return function(chunkId) {
+      return scriptSrc(chunkId).replace(/\\.js(\\?|$)/, _WEBPACK_CHUNK_SUFFIX_ + '.js$1');
+    };
+  })(jsonpScriptSrc);
+}`;
+      });
+      compilation.mainTemplate.hooks.hash.tap(PLUGIN, (hash) => {
+        hash.update('closure output languages');
+      });
+    }
+
+    // Webpack 5 deprecated the main template hooks
+    if (webpackCompat.WEBPACK_MAJOR_VERSION < 5) {
+      compilation.mainTemplate.hooks.hash.tap(
+        'SetVarMainTemplatePlugin',
+        (hash) => {
+          hash.update('set var');
+          hash.update(`${this.varExpression}`);
+          hash.update(`${this.copyObject}`);
+        }
+      );
+    }
 
     compilation.hooks.buildModule.tap(PLUGIN, (moduleArg) => {
       // to get detailed location info about errors
@@ -325,11 +826,26 @@ class ClosureCompilerPlugin {
       this.removeMarkers(webpackModules)
     );
 
-    compilation.hooks.optimizeChunkAssets.tapAsync(
+    webpackCompat.tapOptimizeChunkAssets(
+      compilation,
       PLUGIN,
       (originalChunks, cb) =>
         this.optimizeChunkAssets(compilation, originalChunks, cb)
     );
+
+    if (this.options.subresourceIntegrity) {
+      // Source map comments are appended to the compiled files after they are optimized
+      compilation.hooks.afterOptimizeAssets.tap(PLUGIN, () => {
+        const { placeholderChunks, compiledAssets } =
+          this.integrityInputs.get(compilation) || {};
+        this.integrityInputs.delete(compilation);
+        addIntegrity(
+          compilation,
+          placeholderChunks || [],
+          compiledAssets || new Map()
+        );
+      });
+    }
   }
 
   /**
@@ -445,10 +961,50 @@ class ClosureCompilerPlugin {
       return;
     }
 
+    this.activeCompilations.add(compilation);
+    this.startBaselineComparison(compilation);
+    const done = () => {
+      this.activeCompilations.delete(compilation);
+      this.reportDiagnosticRuleCounts(compilation);
+      this.finishBaselineComparison(compilation);
+      let compiledAssets = this.compiledAssets.get(compilation) || new Map();
+      this.compiledAssets.delete(compilation);
+      let renamedAssets = new Map();
+      // Webpack 5 updates content hashes itself with optimization.realContentHash
+      if (
+        this.options.realContentHash &&
+        webpackCompat.WEBPACK_MAJOR_VERSION < 5
+      ) {
+        renamedAssets = this.updateContentHashes(compilation, compiledAssets);
+        compiledAssets = new Map(
+          Array.from(compiledAssets, ([assetName, compiledAsset]) => [
+            renamedAssets.get(assetName) || assetName,
+            compiledAsset,
+          ])
+        );
+      }
+      const placeholderChunks =
+        this.integrityPlaceholderChunks.get(compilation) || [];
+      this.integrityPlaceholderChunks.delete(compilation);
+      if (this.options.subresourceIntegrity) {
+        this.integrityInputs.set(compilation, {
+          placeholderChunks,
+          compiledAssets,
+        });
+      }
+      if (this.options.outputLanguages) {
+        this.emitOutputLanguagesManifest(compilation, renamedAssets);
+      }
+      if (this.options.sizeReport) {
+        this.emitSizeReport(compilation, compiledAssets);
+      }
+      cb();
+    };
+
     if (this.options.mode === 'AGGRESSIVE_BUNDLE') {
-      this.aggressiveBundle(compilation, originalChunks, cb);
+      this.aggressiveBundle(compilation, originalChunks, done);
     } else {
-      this.standardBundle(compilation, originalChunks, cb);
+      this.standardBundle(compilation, originalChunks, done);
     }
   }
 
@@ -460,12 +1016,13 @@ class ClosureCompilerPlugin {
    * @param {function()} cb
    */
   standardBundle(compilation, originalChunks, cb) {
+    const logger = compilation.getLogger(PLUGIN.name);
     const compilations = [];
     // We need to invoke closure compiler for each entry point. Loop through
     // each chunk and find any entry points.
     // Add the entry point and any descendant chunks to the compilation.
     originalChunks.forEach((chunk) => {
-      if (!chunk.hasEntryModule()) {
+      if (!webpackCompat.chunkHasEntryModule(compilation, chunk)) {
         return;
       }
       const chunkDefs = new Map();
@@ -477,11 +1034,28 @@ class ClosureCompilerPlugin {
         chunkDefs,
         entrypoints
       );
+      // Every chunk of this entry point is excluded - there is nothing to compile
+      if (
+        Array.from(chunkDefs.values()).every((chunkDef) => chunkDef.skipped)
+      ) {
+        return;
+      }
+      const [rootChunkDef] = chunkDefs.values();
+      if (this.options.outputLanguages) {
+        const suffixSourcePath = require.resolve('./standard-chunk-suffix.js');
+        rootChunkDef.sources.unshift({
+          path: suffixSourcePath,
+          src: fs.readFileSync(suffixSourcePath, 'utf8'),
+        });
+      }
+      rootChunkDef.sources.unshift(...this.getExternsSources(compilation));
       const sources = [];
+      const compilerFlags = this.getCompilerFlags(chunk, compilation);
       const compilationOptions = this.buildCompilerOptions(
+        compilerFlags,
         chunkDefs,
         entrypoints,
-        this.compilerFlags.defines || [],
+        compilerFlags.defines || [],
         sources
       );
 
@@ -494,56 +1068,118 @@ class ClosureCompilerPlugin {
       }
       compilationOptions.externs = externs;
 
-      compilations.push(
-        this.runCompiler(compilation, compilationOptions, sources, chunkDefs)
-          .then((outputFiles) => {
-            outputFiles.forEach((outputFile) => {
-              const chunkIdParts = /chunk-(\d+)\.js/.exec(outputFile.path);
-              let chunkId;
-              if (chunkIdParts) {
-                chunkId = parseInt(chunkIdParts[1], 10);
-              }
-              const matchingChunk = compilation.chunks.find((chunk_) =>
-                findChunkFile(chunk_, chunkId, outputFile.path)
-              );
-              if (!matchingChunk) {
-                return;
-              }
-              let [assetName] = chunkIdParts
-                ? chunk.files
-                : [outputFile.path.replace(/^\.\//, '')];
-              if (chunkIdParts && !/\.js$/.test(chunk.files[0])) {
-                assetName = assetName.substr(0, assetName.length - 3);
-              }
-              const sourceMap = JSON.parse(
-                outputFile.source_map || outputFile.sourceMap
-              );
-              sourceMap.file = assetName;
-              const source = outputFile.src;
-              compilation.assets[assetName] = new SourceMapSource(
-                source,
-                assetName,
-                sourceMap,
-                null,
-                null
-              );
-            });
-          })
-          .catch((e) => {
-            if (e) {
-              if (!(e instanceof Error)) {
-                e = new Error(e);
-              }
-              compilation.errors.push(e);
+      // Diagnostics are reported once, even though each output language is compiled separately
+      const reportedDiagnostics = new Set();
+      this.getOutputLanguages().forEach((outputLanguage) => {
+        const { suffix } = outputLanguage;
+        const languageOptions = this.getOutputLanguageOptions(
+          compilationOptions,
+          outputLanguage
+        );
+
+        // Entry points are compiled in parallel, limited by the parallelism option
+        const jobName = outputLanguage.language_out
+          ? `${chunk.name || chunk.id} (${outputLanguage.language_out})`
+          : chunk.name || chunk.id;
+        const compilerJob = (queueTime) => {
+          const startTime = Date.now();
+          const reportTiming = () =>
+            logger.log(
+              `${jobName}: queued for ${queueTime}ms, compiled in ${Date.now() -
+                startTime}ms`
+            );
+          const renamingMapName = `${chunk.name || chunk.id}${suffix || ''}`;
+          return this.runCompiler(
+            compilation,
+            Object.assign(
+              {},
+              languageOptions,
+              this.getRenamingMapFlags(compilation, renamingMapName)
+            ),
+            sources,
+            reportedDiagnostics
+          ).then(
+            (outputFiles) => {
+              reportTiming();
+              this.updateRenamingMaps(compilation, renamingMapName);
+              return outputFiles;
+            },
+            (e) => {
+              reportTiming();
+              throw e;
             }
-          })
-      );
+          );
+        };
+
+        compilations.push(
+          this.compilerQueue
+            .add(compilerJob)
+            .then((outputFiles) => {
+              outputFiles.forEach((outputFile) => {
+                const chunkIdParts = /chunk-(\d+)\.js/.exec(outputFile.path);
+                let chunkId;
+                if (chunkIdParts) {
+                  chunkId = parseInt(chunkIdParts[1], 10);
+                }
+                const matchingChunk = webpackCompat
+                  .getChunks(compilation)
+                  .find((chunk_) =>
+                    findChunkFile(chunk_, chunkId, outputFile.path)
+                  );
+                if (!matchingChunk) {
+                  return;
+                }
+                const chunkFiles = webpackCompat.getChunkFiles(chunk);
+                let [assetName] = chunkIdParts
+                  ? chunkFiles
+                  : [outputFile.path.replace(/^\.\//, '')];
+                if (chunkIdParts && !/\.js$/.test(chunkFiles[0])) {
+                  assetName = assetName.substr(0, assetName.length - 3);
+                }
+                const languageAssetName = addLanguageSuffix(assetName, suffix);
+                if (languageAssetName !== assetName) {
+                  webpackCompat.addChunkFile(matchingChunk, languageAssetName);
+                }
+                if (
+                  this.isChunkSkipped(compilation, matchingChunk, chunkDefs)
+                ) {
+                  // Excluded chunks are emitted unchanged for every language
+                  if (languageAssetName !== assetName) {
+                    compilation.assets[languageAssetName] =
+                      compilation.assets[assetName];
+                  }
+                  return;
+                }
+                compilation.assets[languageAssetName] = this.createOutputSource(
+                  compilation,
+                  outputFile,
+                  languageAssetName
+                );
+                this.addCompiledAsset(
+                  compilation,
+                  matchingChunk,
+                  languageAssetName,
+                  [chunkDefs.get(getChunkDefName(outputFile.path))],
+                  suffix
+                );
+              });
+            })
+            .catch((e) => {
+              if (e) {
+                if (!(e instanceof Error)) {
+                  e = new Error(e);
+                }
+                compilation.errors.push(e);
+              }
+            })
+        );
+      });
     });
 
     originalChunks.forEach((chunk) => {
       const chunkFilename = this.getChunkName(compilation, chunk);
-      if (!chunk.files.includes(chunkFilename)) {
-        chunk.files.push(chunkFilename);
+      if (!webpackCompat.getChunkFiles(chunk).includes(chunkFilename)) {
+        webpackCompat.addChunkFile(chunk, chunkFilename);
         if (!compilation.assets[chunkFilename]) {
           compilation.assets[chunkFilename] = new RawSource('');
         }
@@ -564,19 +1200,181 @@ class ClosureCompilerPlugin {
   }
 
   /**
-   * Rewrite commonjs modules into a global namespace. Output is split into chunks
-   * based on the dependency graph provided by webpack. Symbols referenced from
-   * a different output chunk are rewritten to be properties on a __wpcc namespace.
+   * Development build, which keeps the webpack output. With the `transpile` strategy,
+   * each chunk file is compiled with WHITESPACE_ONLY optimizations for the language_out of
+   * the compiler flags. Files whose webpack output did not change since the previous
+   * build reuse their previous result. The strategy is recorded in the asset info of
+   * every chunk file so that stats show which pipeline produced it.
+   *
+   * @param {!Compilation} compilation
+   * @param {!Array<!Chunk>} originalChunks
+   * @param {string} strategy `skip` or `transpile`
+   * @param {function()} cb
    */
-  aggressiveBundle(compilation, originalChunks, cb) {
-    const basicRuntimePath = require.resolve('./basic-runtime.js');
-    const externsPath = require.resolve('./aggressive-bundle-externs.js');
+  developmentBundle(compilation, originalChunks, strategy, cb) {
+    const logger = compilation.getLogger(PLUGIN.name);
+    const files = [];
+    originalChunks.forEach((chunk) => {
+      webpackCompat.getChunkFiles(chunk).forEach((file) => {
+        if (
+          compilation.assets[file] &&
+          ModuleFilenameHelpers.matchObject(this.options, file)
+        ) {
+          files.push({ chunk, file });
+        }
+      });
+    });
+    files.forEach(({ file }) =>
+      webpackCompat.setAssetInfo(compilation, file, {
+        closureCompiler: strategy,
+      })
+    );
 
-    // Closure compiler requires the chunk graph to have a single root node.
-    // Since webpack can have multiple entry points, add a synthetic root
-    // to the graph.
-    /** @type {!ChunkMap} */
-    const chunkDefs = new Map();
+    if (strategy === 'skip' || compilation.errors.length > 0) {
+      logger.info(
+        `${strategy} development strategy: ${files.length} chunk file(s) emitted as bundled by webpack`
+      );
+      cb();
+      return;
+    }
+
+    const startTime = Date.now();
+    const transpiledAssets = new Map();
+    let reusedCount = 0;
+    this.activeCompilations.add(compilation);
+    const reportedDiagnostics = new Set();
+    const chunkCompilerFlags = this.getDevelopmentCompilerFlags(
+      compilation,
+      originalChunks
+    );
+    const compilations = files.map(({ chunk, file }) => {
+      const { source, map } = compilation.assets[file].sourceAndMap();
+      const input = source.toString();
+      const previous = this.transpiledAssets.get(file);
+      if (previous && previous.input === input) {
+        reusedCount += 1;
+        transpiledAssets.set(file, previous);
+        compilation.assets[file] = previous.output;
+        return Promise.resolve();
+      }
+      const compilerFlags = chunkCompilerFlags.get(chunk) || this.compilerFlags;
+      const flags = {
+        compilation_level: 'WHITESPACE_ONLY',
+        language_in: compilerFlags.language_in,
+        language_out: compilerFlags.language_out,
+        source_map_include_content: compilerFlags.source_map_include_content,
+      };
+      const sources = [
+        {
+          path: file,
+          src: input,
+          sourceMap: map ? JSON.stringify(map) : undefined, // eslint-disable-line no-undefined
+        },
+      ];
+      const transpile = (transpileFlags) =>
+        this.compilerQueue.add(() =>
+          this.runCompiler(
+            compilation,
+            transpileFlags,
+            sources,
+            reportedDiagnostics
+          )
+        );
+      return transpile(flags)
+        .then(([outputFile]) =>
+          // WHITESPACE_ONLY does not inject the runtime library transpiled code relies on
+          /\$jscomp\./.test(outputFile.src)
+            ? transpile(
+                Object.assign({}, flags, {
+                  force_inject_library: 'es6_runtime',
+                })
+              ).then(([injectedOutputFile]) => injectedOutputFile)
+            : outputFile
+        )
+        .then((outputFile) => {
+          const output = this.createOutputSource(compilation, outputFile, file);
+          transpiledAssets.set(file, { input, output });
+          compilation.assets[file] = output;
+        })
+        .catch((e) => {
+          if (e) {
+            compilation.errors.push(e instanceof Error ? e : new Error(e));
+          }
+        });
+    });
+
+    Promise.all(compilations).then(() => {
+      this.activeCompilations.delete(compilation);
+      // Results of a cancelled build are incomplete. Otherwise, files which no longer
+      // exist are forgotten.
+      if (!this.cancelledCompilations.has(compilation)) {
+        this.transpiledAssets = transpiledAssets;
+      }
+      logger.info(
+        `${strategy} development strategy: transpiled ${files.length -
+          reusedCount} chunk file(s) and reused ${reusedCount} unchanged in ${Date.now() -
+          startTime}ms`
+      );
+      cb();
+    });
+  }
+
+  /**
+   * The compiler flags of each chunk in a development build. The compiler flags function
+   * is called as in a full build: once with null in AGGRESSIVE_BUNDLE mode, or once per
+   * entry chunk in STANDARD mode, whose flags also apply to the chunks it loads.
+   *
+   * @param {!Compilation} compilation
+   * @param {!Array<!Chunk>} originalChunks
+   * @return {!Map<!Chunk, !Object<string, (string|!Array<string>|boolean)>>}
+   */
+  getDevelopmentCompilerFlags(compilation, originalChunks) {
+    const chunkCompilerFlags = new Map();
+    if (this.options.mode === 'AGGRESSIVE_BUNDLE') {
+      const compilerFlags = this.getCompilerFlags(null, compilation);
+      originalChunks.forEach((chunk) => {
+        chunkCompilerFlags.set(chunk, compilerFlags);
+      });
+      return chunkCompilerFlags;
+    }
+    originalChunks.forEach((entryChunk) => {
+      if (!webpackCompat.chunkHasEntryModule(compilation, entryChunk)) {
+        return;
+      }
+      const compilerFlags = this.getCompilerFlags(entryChunk, compilation);
+      const chunkQueue = [entryChunk];
+      while (chunkQueue.length > 0) {
+        const chunk = chunkQueue.pop();
+        if (!chunkCompilerFlags.has(chunk)) {
+          chunkCompilerFlags.set(chunk, compilerFlags);
+          // The chunks of the same group, such as a runtime chunk, and of child groups
+          for (const group of chunk.groupsIterable) {
+            chunkQueue.push(...group.chunks);
+            for (const childGroup of group.childrenIterable) {
+              chunkQueue.push(...childGroup.chunks);
+            }
+          }
+        }
+      }
+    });
+    return chunkCompilerFlags;
+  }
+
+  /**
+   * Rewrite commonjs modules into a global namespace. Output is split into chunks
+   * based on the dependency graph provided by webpack. Symbols referenced from
+   * a different output chunk are rewritten to be properties on a namespace object,
+   * `__wpcc` unless configured with the namespace option.
+   */
+  aggressiveBundle(compilation, originalChunks, cb) {
+    const basicRuntimePath = require.resolve('./basic-runtime.js');
+    const externsPath = require.resolve('./aggressive-bundle-externs.js');
+
+    // Closure compiler requires the chunk graph to have a single root node.
+    // Since webpack can have multiple entry points, add a synthetic root
+    // to the graph.
+    /** @type {!ChunkMap} */
+    const chunkDefs = new Map();
     const entrypoints = [];
     const baseChunk = originalChunks.find(
       (chunk) => chunk.name === this.BASE_CHUNK_NAME
@@ -612,7 +1410,7 @@ class ClosureCompilerPlugin {
         name: this.BASE_CHUNK_NAME,
         parentNames: new Set(),
         sources: [],
-        outputWrapper: ENTRY_CHUNK_WRAPPER,
+        outputWrapper: this.getAggressiveChunkWrapper(compilation, null),
       });
     }
 
@@ -636,14 +1434,21 @@ class ClosureCompilerPlugin {
       // Entrypoints are chunk groups with no parents
       if (primaryChunk && primaryChunk.entryModule) {
         if (!baseChunk || chunkGroup.getParents().length === 0) {
-          primaryParentNames.push(this.BASE_CHUNK_NAME);
+          // A runtime chunk split off by optimization.runtimeChunk is loaded before the entry
+          if (secondaryChunks.length > 0) {
+            secondaryParentNames.push(this.BASE_CHUNK_NAME);
+          } else {
+            primaryParentNames.push(this.BASE_CHUNK_NAME);
+          }
         }
         const entryModuleDeps =
           primaryChunk.entryModule.type === 'multi entry'
             ? primaryChunk.entryModule.dependencies
             : [primaryChunk.entryModule];
         entryModuleDeps.forEach((entryDep) => {
-          entrypoints.push(toSafePath(getWebpackModuleName(entryDep)));
+          entrypoints.push(
+            toSafePath(getWebpackModuleName(entryDep, compilation))
+          );
         });
       } else if (chunkGroup.getParents().length === 0) {
         if (!baseChunk) {
@@ -726,31 +1531,37 @@ class ClosureCompilerPlugin {
       baseChunkDef = chunkDefs.get(this.BASE_CHUNK_NAME);
     }
     baseChunkDef.sources.unshift(
+      ...this.getExternsSources(compilation),
       {
         path: externsPath,
-        src: fs.readFileSync(externsPath, 'utf8'),
+        src: this.readRuntimeFile(externsPath),
       },
       {
         path: basicRuntimePath,
         src: fs.readFileSync(basicRuntimePath, 'utf8'),
       }
     );
-    baseChunkDef.outputWrapper = ENTRY_CHUNK_WRAPPER;
+    baseChunkDef.outputWrapper = this.getAggressiveChunkWrapper(
+      compilation,
+      null
+    );
     entrypoints.unshift(basicRuntimePath);
 
     if (jsonpRuntimeRequired) {
-      const fullRuntimeSource = this.renderRuntime();
-      baseChunkDef.sources.push(fullRuntimeSource);
-      entrypoints.unshift(fullRuntimeSource.path);
+      const fullRuntimeSources = this.renderRuntime(compilation);
+      baseChunkDef.sources.push(...fullRuntimeSources);
+      // The runtime files depend on each other in order
+      entrypoints.unshift(...fullRuntimeSources.map((source) => source.path));
     }
     entrypoints.unshift(basicRuntimePath);
 
+    const compilerFlags = this.getCompilerFlags(null, compilation);
     const defines = [];
-    if (this.compilerFlags.define) {
-      if (typeof this.compilerFlags.define === 'string') {
-        defines.push(this.compilerFlags.define);
+    if (compilerFlags.define) {
+      if (typeof compilerFlags.define === 'string') {
+        defines.push(compilerFlags.define);
       } else {
-        defines.push(...this.compilerFlags.define);
+        defines.push(...compilerFlags.define);
       }
     }
     defines.push(
@@ -761,92 +1572,602 @@ class ClosureCompilerPlugin {
       hash: compilation.hash,
     });
     defines.push(`_WEBPACK_PUBLIC_PATH_='${PUBLIC_PATH}'`);
+    defines.push(
+      `_WEBPACK_JSONP_FUNCTION_='${this.getJsonpFunction(compilation)}'`
+    );
+
+    if (isNodeTarget(compilation)) {
+      defines.push(
+        `_WEBPACK_OUTPUT_ROOT_='${this.getOutputRoot(
+          compilation,
+          originalChunks
+        )}'`
+      );
+    }
+
+    const { crossOriginLoading } = compilation.outputOptions;
+    if (crossOriginLoading) {
+      defines.push(`_WEBPACK_CROSS_ORIGIN_LOADING_='${crossOriginLoading}'`);
+    }
+    defines.push(
+      `_WEBPACK_CHUNK_LOAD_RETRIES_=${this.options.chunkLoadRetries}`,
+      `_WEBPACK_CHUNK_LOAD_RETRY_DELAY_=${this.options.chunkLoadRetryDelay}`
+    );
+    if (this.options.trustedTypes) {
+      const policyName =
+        typeof this.options.trustedTypes === 'string'
+          ? this.options.trustedTypes
+          : 'webpack';
+      defines.push(`_WEBPACK_TRUSTED_TYPES_POLICY_='${policyName}'`);
+    }
 
     const allSources = [];
     const compilationOptions = this.buildCompilerOptions(
+      compilerFlags,
       chunkDefs,
       entrypoints,
       defines,
       allSources
     );
 
-    // Invoke the compiler and return a promise of the results.
+    // Diagnostics are reported once, even though each output language is compiled separately
+    const reportedDiagnostics = new Set();
+
+    // Invoke the compiler for each output language and return a promise of the results.
     // Success returns an array of output files.
     // Failure returns the exit code.
-    this.runCompiler(compilation, compilationOptions, allSources)
-      .then((outputFiles) => {
-        // Find the synthetic root chunk
-        const baseFile = outputFiles.find((file) =>
-          file.path.indexOf(this.BASE_CHUNK_NAME)
+    const languageCompilations = this.getOutputLanguages().map(
+      (outputLanguage) => {
+        const { suffix } = outputLanguage;
+        const languageOptions = this.getOutputLanguageOptions(
+          compilationOptions,
+          outputLanguage
         );
-        let baseSrc = `${baseFile.src}\n`;
-        if (/^['"]use strict['"];\s*$/.test(baseFile.src)) {
-          baseSrc = '';
-        }
-
-        // Remove any assets created by the synthetic base chunk
-        // They are concatenated on to each entry point.
-        if (baseChunk) {
-          baseChunk.files.forEach((filename) => {
-            delete compilation.assets[filename];
-          });
-          baseChunk.files.splice(0, baseChunk.files.length);
-        }
+        const renamingMapName = `bundle${suffix || ''}`;
+        return this.compilerQueue
+          .add(() =>
+            this.runCompiler(
+              compilation,
+              Object.assign(
+                {},
+                languageOptions,
+                this.getRenamingMapFlags(compilation, renamingMapName)
+              ),
+              allSources,
+              reportedDiagnostics
+            )
+          )
+          .then((outputFiles) => {
+            this.updateRenamingMaps(compilation, renamingMapName);
 
-        outputFiles
-          .filter((outputFile) => outputFile.path !== baseFile.path)
-          .forEach((outputFile) => {
-            const chunkIdParts = /chunk-(\d+)\.js/.exec(outputFile.path);
-            let chunkId;
-            if (chunkIdParts) {
-              chunkId = parseInt(chunkIdParts[1], 10);
-            }
-            const chunk = compilation.chunks.find((chunk_) =>
-              findChunkFile(chunk_, chunkId, outputFile.path)
+            // Find the synthetic root chunk
+            let baseFile = outputFiles.find((file) =>
+              file.path.indexOf(this.BASE_CHUNK_NAME)
             );
-            if (!chunk || (chunk.isEmpty() && chunk.files.length === 0)) {
-              return;
+            if (this.options.esModuleOutput) {
+              outputFiles = this.linkEsModuleOutputs(
+                compilation,
+                outputFiles,
+                baseFile,
+                chunkDefs
+              );
+              baseFile = outputFiles.find(
+                (file) => file.path === baseFile.path
+              );
             }
-            const assetName = findChunkFile(chunk, chunkId, outputFile.path);
-            const sourceMap = JSON.parse(
-              outputFile.source_map || outputFile.sourceMap
+            // Keep the mappings of the root chunk so that modules moved into it can be traced
+            let baseSrc = this.createOutputSource(
+              compilation,
+              Object.assign({}, baseFile, { src: `${baseFile.src}\n` }),
+              baseFile.path
             );
-            sourceMap.file = assetName;
-            const source = outputFile.src;
-            let newSource = new SourceMapSource(
-              source,
-              assetName,
-              sourceMap,
-              null,
-              null
-            );
-            // Concatenate our synthetic root chunk with an entry point
-            if (chunk.hasRuntime()) {
-              newSource = new ConcatSource(baseSrc, newSource);
+            if (/^['"]use strict['"];\s*$/.test(baseFile.src)) {
+              baseSrc = '';
+            }
+
+            // Remove any assets created by the synthetic base chunk
+            // They are concatenated on to each entry point.
+            if (baseChunk) {
+              baseChunk.files.forEach((filename) => {
+                delete compilation.assets[filename];
+              });
+              baseChunk.files.splice(0, baseChunk.files.length);
+            }
+
+            outputFiles
+              .filter((outputFile) => outputFile.path !== baseFile.path)
+              .forEach((outputFile) => {
+                const { chunk, chunkFile } = findOutputChunk(
+                  compilation,
+                  outputFile.path
+                );
+                if (!chunk) {
+                  return;
+                }
+                const assetName = addLanguageSuffix(chunkFile, suffix);
+                if (!chunk.files.includes(assetName)) {
+                  chunk.files.push(assetName);
+                }
+                let newSource = this.createOutputSource(
+                  compilation,
+                  outputFile,
+                  assetName
+                );
+                const inputChunkDefs = [
+                  chunkDefs.get(getChunkDefName(outputFile.path)),
+                ];
+                // Concatenate our synthetic root chunk with an entry point
+                if (chunk.hasRuntime()) {
+                  newSource = new ConcatSource(baseSrc, newSource);
+                  inputChunkDefs.push(baseChunkDef);
+                }
+                compilation.assets[assetName] = newSource;
+                this.addCompiledAsset(
+                  compilation,
+                  chunk,
+                  assetName,
+                  inputChunkDefs,
+                  suffix
+                );
+              });
+          })
+          .catch((e) => {
+            if (e) {
+              if (!(e instanceof Error)) {
+                e = new Error(e);
+              }
+              compilation.errors.push(e);
             }
-            compilation.assets[assetName] = newSource;
           });
+      }
+    );
 
-        cb();
-      })
-      .catch((e) => {
-        if (e) {
-          if (!(e instanceof Error)) {
-            e = new Error(e);
-          }
-          compilation.errors.push(e);
+    Promise.all(languageCompilations).then(() => cb());
+  }
+
+  /**
+   * Link the compiled chunks of the esModuleOutput option through import and export
+   * declarations instead of properties of the namespace object.
+   *
+   * @param {!Compilation} compilation
+   * @param {!Array<{path: string, src: string}>} outputFiles
+   * @param {{path: string, src: string}} baseFile output of the synthetic base chunk
+   * @param {!ChunkMap} chunkDefs
+   * @return {!Array<{path: string, src: string}>}
+   */
+  linkEsModuleOutputs(compilation, outputFiles, baseFile, chunkDefs) {
+    const baseName = getChunkDefName(baseFile.path);
+    const getAncestors = (name, ancestors = new Set([baseName])) => {
+      chunkDefs.get(name).parentNames.forEach((parentName) => {
+        if (!ancestors.has(parentName)) {
+          ancestors.add(parentName);
+          getAncestors(parentName, ancestors);
         }
-        cb();
       });
+      return ancestors;
+    };
+    const outputs = [];
+    const runtimeFiles = [];
+    outputFiles.forEach((outputFile) => {
+      if (outputFile === baseFile) {
+        return;
+      }
+      const { chunk, chunkFile } = findOutputChunk(
+        compilation,
+        outputFile.path
+      );
+      if (!chunk) {
+        return;
+      }
+      if (chunk.hasRuntime()) {
+        runtimeFiles.push(chunkFile);
+      }
+      const name = getChunkDefName(outputFile.path);
+      outputs.push({
+        name,
+        src: outputFile.src,
+        files: [chunkFile],
+        ancestors: getAncestors(name),
+        importable: chunk.hasRuntime() || chunk.hasEntryModule(),
+      });
+    });
+    outputs.unshift({
+      name: baseName,
+      src: baseFile.src,
+      files: runtimeFiles,
+      ancestors: new Set(),
+      importable: true,
+    });
+
+    const linkedSources = linkEsModuleChunks(this.options.namespace, outputs);
+    return outputFiles.map((outputFile) => {
+      const name = getChunkDefName(outputFile.path);
+      return linkedSources.has(name)
+        ? Object.assign({}, outputFile, { src: linkedSources.get(name) })
+        : outputFile;
+    });
+  }
+
+  /**
+   * Determine the source maps webpack will emit, the same way webpack configures its
+   * own minimizers: from the devtool option or a SourceMapDevToolPlugin instance.
+   *
+   * @param {!Compilation} compilation
+   * @return {{sourceMap: boolean, includeContent: boolean}}
+   */
+  getSourceMapOptions(compilation) {
+    const { devtool, plugins } = compilation.options;
+    if (devtool && /source-?map/.test(devtool)) {
+      return { sourceMap: true, includeContent: !/nosources/.test(devtool) };
+    }
+    const sourceMapPlugins = (plugins || []).filter(
+      (plugin) => plugin instanceof SourceMapDevToolPlugin
+    );
+    return {
+      sourceMap: sourceMapPlugins.length > 0,
+      includeContent: sourceMapPlugins.some(
+        (plugin) => !(plugin.options && plugin.options.noSources)
+      ),
+    };
+  }
+
+  /**
+   * The flags of a closure-compiler invocation. Closure-compiler returns a source map with
+   * each output file in JSON stream mode, so `create_source_map` is never passed, and the
+   * original sources are left out of the map when webpack would not emit them.
+   *
+   * @param {!Compilation} compilation
+   * @param {!Object<string, (string|!Array<string>|boolean)>} flags
+   * @return {!Object<string, (string|!Array<string>|boolean)>}
+   */
+  getRunFlags(compilation, flags) {
+    const runFlags = Object.assign({}, flags, {
+      error_format: 'JSON',
+      json_streams: 'BOTH',
+    });
+    delete runFlags.create_source_map;
+    if (!this.getSourceMapOptions(compilation).includeContent) {
+      delete runFlags.source_map_include_content;
+    }
+    return runFlags;
+  }
+
+  /**
+   * Create the asset source for a closure-compiler output file. The source map is only kept
+   * when webpack emits source maps or the size report needs it.
+   *
+   * @param {!Compilation} compilation
+   * @param {{src: string, source_map: (string|undefined), sourceMap: (string|undefined)}} outputFile
+   * @param {string} assetName
+   * @return {!Source}
+   */
+  createOutputSource(compilation, outputFile, assetName) {
+    if (
+      !this.getSourceMapOptions(compilation).sourceMap &&
+      !this.options.sizeReport
+    ) {
+      return new RawSource(outputFile.src);
+    }
+    const sourceMap = JSON.parse(outputFile.source_map || outputFile.sourceMap);
+    sourceMap.file = assetName;
+    return new SourceMapSource(
+      outputFile.src,
+      assetName,
+      sourceMap,
+      null,
+      null
+    );
+  }
+
+  /**
+   * Externs generated from the webpack externals and shipped by packages, shared by
+   * every closure-compiler invocation of a compilation.
+   *
+   * @param {!Compilation} compilation
+   * @return {!Array<{path: string, src: string}>}
+   */
+  getExternsSources(compilation) {
+    if (!this.externsSources.has(compilation)) {
+      const externs = [];
+      if (this.options.packageExterns) {
+        externs.push(...getPackageExterns(compilation));
+      }
+      const externalsExterns = this.options.externalsExterns
+        ? getExternalsExterns(compilation)
+        : null;
+      if (externalsExterns) {
+        externs.push(externalsExterns);
+      }
+      this.externsSources.set(compilation, externs);
+    }
+    return this.externsSources.get(compilation);
+  }
+
+  /**
+   * The output languages to compile. Without the outputLanguages option, a single
+   * compilation uses the language_out compiler flag.
+   *
+   * @return {!Array<{language_out: (string|undefined), suffix: (string|undefined)}>}
+   */
+  getOutputLanguages() {
+    return this.options.outputLanguages || [{}];
+  }
+
+  /**
+   * @param {!Object<string, (string|!Array<string>|boolean)>} compilationOptions
+   * @param {{language_out: (string|undefined), suffix: (string|undefined)}} outputLanguage
+   * @return {!Object<string, (string|!Array<string>|boolean)>}
+   */
+  getOutputLanguageOptions(compilationOptions, outputLanguage) {
+    if (!outputLanguage.language_out && !outputLanguage.suffix) {
+      return compilationOptions;
+    }
+    const options = Object.assign({}, compilationOptions);
+    if (outputLanguage.language_out) {
+      options.language_out = outputLanguage.language_out;
+    }
+    if (outputLanguage.suffix) {
+      options.define = [].concat(
+        options.define || [],
+        `_WEBPACK_CHUNK_SUFFIX_='${outputLanguage.suffix}'`
+      );
+    }
+    return options;
+  }
+
+  /**
+   * Compiler flags which report the renaming of this build.
+   *
+   * @param {!Compilation} compilation
+   * @param {string} name identifies the closure-compiler invocation across builds
+   * @return {!Object<string, string>}
+   */
+  getRenamingMapFlags(compilation, name) {
+    // Child compilations would overwrite the maps of the main compilation
+    if (!this.renamingMaps || compilation.compiler.parentCompilation) {
+      return {};
+    }
+    return this.renamingMaps.getFlags(name);
+  }
+
+  /**
+   * Store the renaming of a successful compilation and warn about stored renamings which
+   * were not kept, as chunks which use them change.
+   *
+   * @param {!Compilation} compilation
+   * @param {string} name
+   */
+  updateRenamingMaps(compilation, name) {
+    if (!this.renamingMaps || compilation.compiler.parentCompilation) {
+      return;
+    }
+    let dropped;
+    try {
+      dropped = this.renamingMaps.update(name);
+    } catch (e) {
+      compilation.errors.push(
+        new Error(
+          `${PLUGIN.name}: Unable to update the renaming maps of ${name}\n${e.message}`
+        )
+      );
+      return;
+    }
+    if (dropped.length > 0) {
+      const listed = dropped.slice(0, 20).map((renaming) => `  ${renaming}`);
+      if (dropped.length > listed.length) {
+        listed.push(`  and ${dropped.length - listed.length} more`);
+      }
+      compilation
+        .getLogger(PLUGIN.name)
+        .warn(
+          `${name}: ${
+            dropped.length
+          } renaming(s) from the stored renaming map were not kept:\n${listed.join(
+            '\n'
+          )}`
+        );
+    }
+  }
+
+  /**
+   * Record an output file written by closure-compiler. The size of the sources compiled
+   * into it is only measured for the size report.
+   *
+   * @param {!Compilation} compilation
+   * @param {!Chunk} chunk
+   * @param {string} assetName
+   * @param {!Array<?Object>} inputChunkDefs chunk definitions compiled into the file
+   * @param {string|undefined} suffix suffix of the output language of the file
+   */
+  addCompiledAsset(compilation, chunk, assetName, inputChunkDefs, suffix) {
+    if (!this.compiledAssets.has(compilation)) {
+      this.compiledAssets.set(compilation, new Map());
+    }
+    let inputSize = 0;
+    if (this.options.sizeReport) {
+      inputChunkDefs.forEach((chunkDef) => {
+        if (chunkDef) {
+          chunkDef.sources.forEach(({ src }) => {
+            inputSize += Buffer.byteLength(src);
+          });
+        }
+      });
+    }
+    this.compiledAssets
+      .get(compilation)
+      .set(assetName, { chunk, inputSize, suffix: suffix || '' });
+  }
+
+  /**
+   * Replace the webpack content hash in the names of the compiled files with a hash of
+   * the closure-compiler output.
+   *
+   * @param {!Compilation} compilation
+   * @param {!Map<string, {chunk: !Chunk, inputSize: number}>} compiledAssets
+   * @return {!Map<string, string>} new file names by old file name
+   */
+  updateContentHashes(compilation, compiledAssets) {
+    const getContentHash = (chunk) => {
+      const filenameTemplate = this.getChunkFilenameTemplate(
+        compilation,
+        webpackCompat.chunkUsesEntryFilename(chunk)
+      );
+      const contentHashPattern = /\[contenthash(?::(\d+))?\]/i.exec(
+        typeof filenameTemplate === 'string' ? filenameTemplate : ''
+      );
+      if (!contentHashPattern || !chunk.contentHash.javascript) {
+        return null;
+      }
+      return chunk.contentHash.javascript.substr(
+        0,
+        contentHashPattern[1]
+          ? parseInt(contentHashPattern[1], 10)
+          : compilation.outputOptions.hashDigestLength
+      );
+    };
+    const chunkAssets = new Map();
+    compiledAssets.forEach(({ chunk }, assetName) => {
+      if (!chunkAssets.has(chunk)) {
+        chunkAssets.set(chunk, { hash: getContentHash(chunk), files: [] });
+      }
+      chunkAssets.get(chunk).files.push(assetName);
+    });
+    // A runtime chunk split off by optimization.runtimeChunk is not compiled in STANDARD
+    // mode, but it contains the paths of the chunks it loads.
+    webpackCompat.getChunks(compilation).forEach((chunk) => {
+      if (chunk.hasRuntime() && !chunkAssets.has(chunk)) {
+        chunkAssets.set(chunk, {
+          hash: getContentHash(chunk),
+          files: webpackCompat
+            .getChunkFiles(chunk)
+            .filter((file) => /\.js(\?|$)/.test(file)),
+        });
+      }
+    });
+    return updateContentHashes(compilation, chunkAssets);
+  }
+
+  /**
+   * Emit the size report of the compiled output files.
+   *
+   * @param {!Compilation} compilation
+   * @param {!Map<string, {chunk: !Chunk, inputSize: number}>} inputs compiled files
+   */
+  emitSizeReport(compilation, inputs) {
+    const report = new SizeReport();
+    const getModuleName = (sourcePath) => {
+      const webpackModule = this.findModuleBySourcePath(
+        compilation,
+        sourcePath
+      );
+      // Polyfills injected by closure-compiler have names such as " [synthetic:es6/symbol] "
+      return webpackModule
+        ? webpackModule.readableIdentifier(this.requestShortener)
+        : this.requestShortener.shorten(sourcePath).trim();
+    };
+    inputs.forEach(({ chunk, inputSize }, file) => {
+      const asset = compilation.assets[file];
+      if (!asset) {
+        return;
+      }
+      const { source, map } = asset.sourceAndMap();
+      report.addChunk(
+        { chunk: chunk.name || chunk.id, file, inputSize, source, map },
+        getModuleName
+      );
+    });
+
+    const { filename, html } = this.options.sizeReport;
+    compilation.assets[filename] = new RawSource(
+      `${JSON.stringify(report, null, 2)}\n`
+    );
+    if (html) {
+      compilation.assets[html] = new RawSource(report.toHtml());
+    }
+  }
+
+  /**
+   * Emit a manifest of the files of each chunk and entry point for every output language.
+   * HTML generation can use it to add module and nomodule script tags.
+   *
+   * @param {!Compilation} compilation
+   * @param {!Map<string, string>} renamedAssets new file names by old file name
+   */
+  emitOutputLanguagesManifest(compilation, renamedAssets) {
+    const { outputLanguages } = this.options;
+    const getAssetName = (assetName) =>
+      renamedAssets.get(assetName) || assetName;
+    const getLanguageFiles = (chunk) => {
+      const chunkFile = this.getChunkName(compilation, chunk);
+      if (
+        !webpackCompat.getChunkFiles(chunk).includes(getAssetName(chunkFile))
+      ) {
+        return null;
+      }
+      const languageFiles = {};
+      outputLanguages.forEach(({ language_out: languageOut, suffix }) => {
+        const languageFile = getAssetName(addLanguageSuffix(chunkFile, suffix));
+        if (compilation.assets[languageFile]) {
+          languageFiles[languageOut] = languageFile;
+        }
+      });
+      return languageFiles;
+    };
+
+    const chunks = {};
+    webpackCompat.getChunks(compilation).forEach((chunk) => {
+      const languageFiles = getLanguageFiles(chunk);
+      if (languageFiles) {
+        chunks[chunk.name || chunk.id] = languageFiles;
+      }
+    });
+
+    const entrypoints = {};
+    compilation.entrypoints.forEach((entrypoint, name) => {
+      const entrypointFiles = {};
+      outputLanguages.forEach(({ language_out: languageOut }) => {
+        entrypointFiles[languageOut] = [];
+      });
+      entrypoint.chunks.forEach((chunk) => {
+        const languageFiles = getLanguageFiles(chunk) || {};
+        Object.keys(languageFiles).forEach((languageOut) => {
+          entrypointFiles[languageOut].push(languageFiles[languageOut]);
+        });
+      });
+      entrypoints[name] = entrypointFiles;
+    });
+
+    compilation.assets[this.options.outputLanguagesManifest] = new RawSource(
+      `${JSON.stringify(
+        {
+          languages: outputLanguages.map(
+            ({ language_out: languageOut, suffix }) => {
+              return { language_out: languageOut, suffix: suffix || '' };
+            }
+          ),
+          entrypoints,
+          chunks,
+        },
+        null,
+        2
+      )}\n`
+    );
   }
 
   /**
+   * @param {!Object<string, (string|!Array<string>|boolean)>} compilerFlags
    * @param {!ChunkMap} chunkDefs
    * @param {!Array<string>} entrypoints
    * @param {!Array<string>} defines
    * @param {!Array<{src: string, path: string, webpackId: number, sourceMap: string}>} allSources
    */
-  buildCompilerOptions(chunkDefs, entrypoints, defines, allSources) {
+  buildCompilerOptions(
+    compilerFlags,
+    chunkDefs,
+    entrypoints,
+    defines,
+    allSources
+  ) {
     const chunkDefinitionStrings = [];
     const chunkDefArray = Array.from(chunkDefs.values());
     const chunkNamesProcessed = new Set();
@@ -897,7 +2218,7 @@ class ClosureCompilerPlugin {
       }
     }
 
-    const options = Object.assign({}, this.compilerFlags, {
+    const options = Object.assign({}, compilerFlags, {
       entry_point: entrypoints,
       chunk: chunkDefinitionStrings,
       define: defines,
@@ -919,54 +2240,51 @@ class ClosureCompilerPlugin {
    *     sourceMap: string,
    *     webpackModuleId: (string|null|undefined)
    *   }>} sources
+   * @param {!Set<string>=} reportedDiagnostics diagnostics which were already reported
+   *     by a related compilation and are skipped
    * @return {Promise<!Array<!{
    *     path: string,
    *     src: string,
    *     sourceMap: string
    *   }>>}
    */
-  runCompiler(compilation, flags, sources) {
-    return new Promise((resolve, reject) => {
-      flags = Object.assign({}, flags, {
-        error_format: 'JSON',
-        json_streams: 'BOTH',
-      });
-      const { compiler: ClosureCompiler } = googleClosureCompiler;
-      const compilerRunner = new ClosureCompiler(
-        flags,
-        this.options.extraCommandArgs
-      );
-      compilerRunner.spawnOptions = { stdio: 'pipe' };
-      const platform = getFirstSupportedPlatform(this.options.platform);
-      if (platform.toLowerCase() === 'native') {
-        compilerRunner.JAR_PATH = null;
-        compilerRunner.javaPath = getNativeImagePath();
-      }
-      const compilerProcess = compilerRunner.run();
-
-      let stdOutData = '';
-      let stdErrData = '';
-      compilerProcess.stdout.on('data', (data) => {
-        stdOutData += data;
-      });
+  runCompiler(compilation, flags, sources, reportedDiagnostics) {
+    // Jobs which were still queued when the build was invalidated never start
+    if (this.cancelledCompilations.has(compilation)) {
+      return Promise.reject();
+    }
 
-      compilerProcess.stderr.on('data', (data) => {
-        stdErrData += data;
-      });
+    flags = this.getRunFlags(compilation, flags);
+    const logger = compilation.getLogger(PLUGIN.name);
+
+    let cacheKey;
+    if (this.cache) {
+      cacheKey = this.cache.getKey(flags, sources);
+      const cachedResult = this.cache.get(cacheKey);
+      if (cachedResult) {
+        logger.log(`Cache hit ${cacheKey}`);
+        if (cachedResult.errors.length > 0) {
+          this.reportErrors(
+            compilation,
+            cachedResult.errors,
+            reportedDiagnostics
+          );
+        }
+        return Promise.resolve(cachedResult.outputFiles);
+      }
+      logger.log(`Cache miss ${cacheKey}`);
+    }
 
-      compilerProcess.on('error', (err) => {
-        this.reportErrors(compilation, [
-          {
-            level: 'error',
-            description: `Closure-compiler. Could not be launched.\n${compilerRunner.prependFullCommand(
-              err.message
-            )}`,
-          },
-        ]);
-        reject();
-      });
+    return new Promise((resolve, reject) => {
+      let cancelCompiler;
+      const onCompilerExit = (exitCode, stdOutData, stdErrData) => {
+        this.runningCompilers.delete(cancelCompiler);
+        if (this.cancelledCompilations.has(compilation)) {
+          reject();
+          return;
+        }
 
-      compilerProcess.on('close', (exitCode) => {
+        let diagnostics = [];
         if (stdErrData instanceof Error) {
           this.reportErrors({
             level: 'error',
@@ -1005,19 +2323,96 @@ class ClosureCompilerPlugin {
             });
           }
 
-          this.reportErrors(compilation, errors);
+          diagnostics = errors;
+          this.reportErrors(compilation, errors, reportedDiagnostics);
           // TODO(ChadKillingsworth) Figure out how to report the stats
         }
 
-        if (exitCode > 0) {
-          reject();
-          return;
-        }
+        if (exitCode > 0) {
+          reject();
+          return;
+        }
+
+        const outputFiles = JSON.parse(stdOutData);
+        if (cacheKey) {
+          try {
+            this.cache.set(cacheKey, { outputFiles, errors: diagnostics });
+          } catch (e) {
+            logger.warn(
+              `Unable to write cache entry ${cacheKey}: ${e.message}`
+            );
+          }
+        }
+        resolve(outputFiles);
+      };
+
+      if (this.compilerDaemon) {
+        const request = this.compilerDaemon.compile(flags, sources);
+        cancelCompiler = () => this.compilerDaemon.cancel(request.id);
+        this.runningCompilers.add(cancelCompiler);
+        request.response.then(
+          ({ exitCode, stdout, stderr }) =>
+            onCompilerExit(exitCode, stdout, stderr),
+          (err) => {
+            this.runningCompilers.delete(cancelCompiler);
+            if (this.cancelledCompilations.has(compilation)) {
+              reject();
+              return;
+            }
+            this.reportErrors(compilation, [
+              {
+                level: 'error',
+                description: `Closure-compiler server failed.\n${err.message}`,
+              },
+            ]);
+            reject();
+          }
+        );
+        return;
+      }
+
+      const { compiler: ClosureCompiler } = googleClosureCompiler;
+      const compilerRunner = new ClosureCompiler(
+        flags,
+        this.options.extraCommandArgs
+      );
+      compilerRunner.spawnOptions = { stdio: 'pipe' };
+      const platform = getFirstSupportedPlatform(this.options.platform);
+      if (platform.toLowerCase() === 'native') {
+        compilerRunner.JAR_PATH = null;
+        compilerRunner.javaPath = getNativeImagePath();
+      }
+      const compilerProcess = compilerRunner.run();
+      cancelCompiler = () => compilerProcess.kill();
+      this.runningCompilers.add(cancelCompiler);
+
+      let stdOutData = '';
+      let stdErrData = '';
+      compilerProcess.stdout.on('data', (data) => {
+        stdOutData += data;
+      });
+
+      compilerProcess.stderr.on('data', (data) => {
+        stdErrData += data;
+      });
 
-        const outputFiles = JSON.parse(stdOutData);
-        resolve(outputFiles);
+      compilerProcess.on('error', (err) => {
+        this.runningCompilers.delete(cancelCompiler);
+        this.reportErrors(compilation, [
+          {
+            level: 'error',
+            description: `Closure-compiler. Could not be launched.\n${compilerRunner.prependFullCommand(
+              err.message
+            )}`,
+          },
+        ]);
+        reject();
       });
 
+      compilerProcess.on('close', (exitCode) =>
+        onCompilerExit(exitCode, stdOutData, stdErrData)
+      );
+
       // Ignore errors (EPIPE) if the compiler input stream is closed
       compilerProcess.stdin.on('error', (err) => {});
 
@@ -1054,6 +2449,38 @@ class ClosureCompilerPlugin {
     return isEntrypoint ? filename : chunkFilename;
   }
 
+  /**
+   * Find the path from the directory of the files containing the runtime to output.path.
+   * The node runtime resolves the chunk files against it, as __dirname is the directory of
+   * the runtime file, which the filename template may place in a subdirectory.
+   *
+   * @param {!Compilation} compilation
+   * @param {!Array<!Chunk>} chunks
+   * @return {string} empty, or `../` for each directory level of the runtime files
+   */
+  getOutputRoot(compilation, chunks) {
+    const outputRoots = new Set(
+      chunks
+        .filter((chunk) => chunk.hasRuntime())
+        .map((chunk) => {
+          const directory = path.posix.dirname(
+            this.getChunkName(compilation, chunk)
+          );
+          return directory === '.'
+            ? ''
+            : `${path.posix.relative(directory, '.')}/`;
+        })
+    );
+    if (outputRoots.size > 1) {
+      compilation.errors.push(
+        new Error(
+          `${PLUGIN.name}: the files containing the runtime of a node build must be in the same directory`
+        )
+      );
+    }
+    return outputRoots.values().next().value || '';
+  }
+
   /**
    * For a given chunk, return it's name
    *
@@ -1061,12 +2488,13 @@ class ClosureCompilerPlugin {
    * @param {!Chunk} chunk
    */
   getChunkName(compilation, chunk) {
+    const isEntrypoint = webpackCompat.chunkUsesEntryFilename(chunk);
     const filenameTemplate = this.getChunkFilenameTemplate(
       compilation,
-      chunk.hasEntryModule()
+      isEntrypoint
     );
     const useChunkHash =
-      !chunk.hasEntryModule() ||
+      !isEntrypoint ||
       (compilation.mainTemplate.useChunkHash &&
         compilation.mainTemplate.useChunkHash(chunk));
     return compilation.getPath(filenameTemplate, {
@@ -1106,8 +2534,8 @@ class ClosureCompilerPlugin {
       const chunkName = this.getChunkName(compilation, chunk);
       const safeChunkName = chunkName.replace(/\.js$/, '');
       const chunkSources = [];
-      chunk.files.forEach((chunkFile) => {
-        if (!chunkFile.match(this.options.test)) {
+      webpackCompat.getChunkFiles(chunk).forEach((chunkFile) => {
+        if (!ModuleFilenameHelpers.matchObject(this.options, chunkFile)) {
           return;
         }
         let src = '';
@@ -1150,6 +2578,16 @@ class ClosureCompilerPlugin {
         sources: chunkSources,
         outputWrapper: '(function(){%s}).call(this || window)',
       };
+      // Chunks excluded by the test, include and exclude options are emitted unchanged,
+      // but remain in the chunk graph so that their descendants keep the correct parents.
+      // Closure-compiler requires the root chunk to have an input, so add an empty one.
+      if (chunkSources.length === 0) {
+        chunkDef.skipped = true;
+        chunkSources.push({
+          path: `__webpack_skipped_chunk_${safeChunkName}__.js`,
+          src: '',
+        });
+      }
       if (parentChunkNames) {
         parentChunkNames.forEach((parentName) => {
           chunkDef.parentNames.add(parentName);
@@ -1174,6 +2612,22 @@ class ClosureCompilerPlugin {
     }
   }
 
+  /**
+   * Whether the output of closure-compiler for a chunk should be discarded
+   * because the chunk was excluded from the compilation.
+   *
+   * @param {?} compilation
+   * @param {!Chunk} chunk
+   * @param {!ChunkMap} chunkDefs
+   * @return {boolean}
+   */
+  isChunkSkipped(compilation, chunk, chunkDefs) {
+    const chunkDef = chunkDefs.get(
+      this.getChunkName(compilation, chunk).replace(/\.js$/, '')
+    );
+    return Boolean(chunkDef && chunkDef.skipped);
+  }
+
   /**
    * Starting from an entry point, recursively traverse the chunk group tree and add
    * all chunk sources to the compilation.
@@ -1225,29 +2679,43 @@ class ClosureCompilerPlugin {
         compilation,
         this.getChunkFilenameTemplate(compilation, false)
       );
+      let childChunkIntegrity = '';
+      if (this.options.subresourceIntegrity) {
+        childChunkIntegrity = `, ${JSON.stringify(
+          this.getIntegrityPlaceholders(compilation, chunk)
+        )}[chunkId]`;
+      }
       const childModulePathRegistrationSource = {
         path: path.resolve('.', `__webpack_register_source_${chunk.id}__.js`),
         src:
           '(function(chunkIds){\n' +
           '  for (var i = 0, chunkId; i < chunkIds.length; i++) {\n' +
           '    chunkId = chunkIds[i];\n' +
-          `    __webpack_require__.rs(chunkIds[i], ${childChunkPaths});\n` +
+          `    __webpack_require__.rs(chunkIds[i], ${childChunkPaths}${childChunkIntegrity});\n` +
           '  }\n' +
-          `})(${JSON.stringify(childChunkIds)});`,
+          `})(${JSON.stringify(childChunkIds)});` +
+          this.getResourceHintsSource(compilation, chunk),
       };
       chunkSources.push(childModulePathRegistrationSource);
       // put this at the front of the entrypoints so that Closure-compiler sorts the source to the top of the chunk
       entrypoints.unshift(childModulePathRegistrationSource.path);
     }
     chunkSources.push(...getChunkSources(chunk, compilation));
+    if (chunk.hasEntryModule() && isLibraryOutput(compilation.outputOptions)) {
+      const libraryExportsSource = getLibraryExportsSource(
+        compilation,
+        chunk,
+        this.options.namespace
+      );
+      chunkSources.push(libraryExportsSource);
+      entrypoints.push(libraryExportsSource.path);
+    }
 
     const chunkDef = {
       name: safeChunkName,
       parentNames: new Set(),
       sources: chunkSources,
-      outputWrapper: chunk.hasEntryModule()
-        ? ENTRY_CHUNK_WRAPPER
-        : `webpackJsonp([${chunk.id}], function(__wpcc){%s});`,
+      outputWrapper: this.getAggressiveChunkWrapper(compilation, chunk),
     };
     if (parentChunkNames) {
       parentChunkNames.forEach((parentName) => {
@@ -1257,6 +2725,74 @@ class ClosureCompilerPlugin {
     chunkDefs.set(safeChunkName, chunkDef);
   }
 
+  /**
+   * @param {!Compilation} compilation
+   * @param {?Chunk} chunk null for the synthetic base chunk
+   * @return {string} output wrapper of the chunk in AGGRESSIVE_BUNDLE mode
+   */
+  getAggressiveChunkWrapper(compilation, chunk) {
+    const { namespace } = this.options;
+    if (this.options.esModuleOutput) {
+      return this.getEsModuleChunkWrapper(compilation, chunk);
+    }
+    if (
+      chunk &&
+      chunk.hasEntryModule() &&
+      isLibraryOutput(compilation.outputOptions)
+    ) {
+      return getLibraryChunkWrapper(compilation, namespace);
+    }
+    if (!chunk || chunk.hasEntryModule() || chunk.hasRuntime()) {
+      return getEntryChunkWrapper(compilation, namespace);
+    }
+    return getChunkWrapper(
+      compilation,
+      chunk,
+      namespace,
+      this.getJsonpFunction(compilation)
+    );
+  }
+
+  /**
+   * Output wrapper of a chunk emitted as an ES module. The synthetic base chunk creates the
+   * namespace object and the function importing late loaded chunks. The file containing
+   * the runtime exports the namespace, which entry chunks split from the runtime import.
+   * Late loaded chunks export their ids and function, like the chunks of node targets.
+   *
+   * @param {!Compilation} compilation
+   * @param {?Chunk} chunk null for the synthetic base chunk
+   * @return {string}
+   */
+  getEsModuleChunkWrapper(compilation, chunk) {
+    const { namespace } = this.options;
+    const globalObject = compilation.outputOptions.globalObject || 'window';
+    const callWrapper = `(function(${namespace}){%s}).call(${globalObject}, ${namespace});`;
+    if (!chunk) {
+      // The runtime calls import() through the namespace, closure-compiler cannot parse it
+      return `var ${namespace} = {};${namespace}.im = function(url) { return import(url); };${callWrapper}`;
+    }
+    if (chunk.hasRuntime()) {
+      return `var ${namespace} = ${namespace} || {};export { ${namespace} };${callWrapper}`;
+    }
+    if (chunk.hasEntryModule()) {
+      const runtimeChunk = Array.from(chunk.groupsIterable)
+        .find((chunkGroup) => chunkGroup.isInitial())
+        .getRuntimeChunk();
+      const chunkName = this.getChunkName(compilation, chunk);
+      let runtimePath = path.posix.relative(
+        path.posix.dirname(chunkName),
+        this.getChunkName(compilation, runtimeChunk)
+      );
+      if (!/^\.\.?\//.test(runtimePath)) {
+        runtimePath = `./${runtimePath}`;
+      }
+      return `import { ${namespace} } from ${JSON.stringify(
+        runtimePath
+      )};${callWrapper}`;
+    }
+    return `export var ids = [${chunk.id}];export function modules(${namespace}){%s}`;
+  }
+
   getChildChunkPaths(
     hash,
     chunk,
@@ -1318,26 +2854,489 @@ class ClosureCompilerPlugin {
   }
 
   /**
-   * Given the source path of the output destination, return the custom
-   * runtime used by AGGRESSIVE_BUNDLE mode.
+   * Source adding the link tags for the chunks which a chunk prefetches and preloads with
+   * the `webpackPrefetch` and `webpackPreload` magic comments. It runs once the chunk has
+   * loaded, after the paths of its child chunks are registered.
    *
+   * @param {!Compilation} compilation
+   * @param {!Chunk} chunk
    * @return {string}
    */
-  renderRuntime() {
-    const lateLoadedRuntimePath = require.resolve('./runtime.js');
-    return {
-      path: lateLoadedRuntimePath,
-      src: fs.readFileSync(lateLoadedRuntimePath, 'utf8'),
-    };
+  getResourceHintsSource(compilation, chunk) {
+    if (!isWebTarget(compilation) || this.options.esModuleOutput) {
+      return '';
+    }
+    const childIdsByOrders = chunk.getChildIdsByOrders();
+    return ['prefetch', 'preload']
+      .filter((rel) => childIdsByOrders[rel])
+      .map(
+        (rel) =>
+          `\n__webpack_require__.pl(${JSON.stringify(
+            childIdsByOrders[rel]
+          )}, '${rel}');`
+      )
+      .join('');
+  }
+
+  /**
+   * Placeholders for the subresource integrity of the child chunks of a chunk. They are
+   * replaced with the integrity of the compiled files once the compilation is done.
+   *
+   * @param {!Compilation} compilation
+   * @param {!Chunk} chunk
+   * @return {!Object<string, string>} placeholder by child chunk id
+   */
+  getIntegrityPlaceholders(compilation, chunk) {
+    if (!this.integrityPlaceholderChunks.has(compilation)) {
+      this.integrityPlaceholderChunks.set(compilation, []);
+    }
+    const placeholderChunks = this.integrityPlaceholderChunks.get(compilation);
+    const placeholders = {};
+    chunk.getAllAsyncChunks().forEach((childChunk) => {
+      let index = placeholderChunks.indexOf(childChunk);
+      if (index < 0) {
+        index = placeholderChunks.push(childChunk) - 1;
+      }
+      placeholders[childChunk.id] = getIntegrityPlaceholder(index);
+    });
+    return placeholders;
+  }
+
+  /**
+   * Name of the global JSONP callback through which late loaded chunks register
+   * themselves in AGGRESSIVE_BUNDLE mode.
+   *
+   * @param {!Compilation} compilation
+   * @return {string}
+   */
+  getJsonpFunction(compilation) {
+    return (
+      this.options.jsonpFunction ||
+      compilation.outputOptions.jsonpFunction ||
+      'webpackJsonp'
+    );
+  }
+
+  /**
+   * Read a runtime or externs file of AGGRESSIVE_BUNDLE mode. The files reference the
+   * namespace object as `__wpcc`, which is replaced with the configured namespace.
+   *
+   * @param {string} filePath
+   * @return {string}
+   */
+  readRuntimeFile(filePath) {
+    const { namespace } = this.options;
+    return fs
+      .readFileSync(filePath, 'utf8')
+      .replace(/\b__wpcc\b/g, () => namespace);
+  }
+
+  /**
+   * Return the custom runtime used by AGGRESSIVE_BUNDLE mode, with the chunk loading
+   * of the webpack target.
+   *
+   * @param {!Compilation} compilation
+   * @return {!Array<{path: string, src: string}>}
+   */
+  renderRuntime(compilation) {
+    let chunkLoadingRuntimes =
+      CHUNK_LOADING_RUNTIMES[compilation.options.target] ||
+      CHUNK_LOADING_RUNTIMES.web;
+    if (this.options.esModuleOutput) {
+      chunkLoadingRuntimes = ['./runtime-esm.js'];
+    }
+    return ['./runtime.js', ...chunkLoadingRuntimes].map((runtimeFile) => {
+      const runtimePath = require.resolve(runtimeFile);
+      return {
+        path: runtimePath,
+        src: this.readRuntimeFile(runtimePath),
+      };
+    });
+  }
+
+  /**
+   * Find the webpack module for a source path used in a closure-compiler diagnostic.
+   * Diagnostics reference either the path given to closure-compiler for the module
+   * or, when mapped through a source map, the original resource path.
+   *
+   * @param {!Compilation} compilation
+   * @param {string|undefined} sourcePath
+   * @return {?Module}
+   */
+  findModuleBySourcePath(compilation, sourcePath) {
+    if (!sourcePath) {
+      return null;
+    }
+    let modulesBySourcePath = this.modulesBySourcePath.get(compilation);
+    if (!modulesBySourcePath) {
+      modulesBySourcePath = new Map();
+      const addModule = (webpackModule) => {
+        modulesBySourcePath.set(
+          toSafePath(getWebpackModuleName(webpackModule, compilation)),
+          webpackModule
+        );
+        if (webpackModule.resource) {
+          modulesBySourcePath.set(
+            webpackModule.resource.replace(/\\/g, '/'),
+            webpackModule
+          );
+        }
+        // Modules merged by the ModuleConcatenationPlugin
+        if (Array.isArray(webpackModule.modules)) {
+          webpackModule.modules.forEach(addModule);
+        }
+      };
+      compilation.modules.forEach(addModule);
+      this.modulesBySourcePath.set(compilation, modulesBySourcePath);
+    }
+    // Webpack 5 names the sources of modules webpack://<path relative to the context>,
+    // which closure-compiler may normalize to webpack$/<path>
+    const webpackUrl = /^webpack\$\/+(?:.*!)?(.*)$/.exec(sourcePath);
+    if (webpackUrl) {
+      return (
+        modulesBySourcePath.get(
+          path
+            .resolve(compilation.compiler.context, webpackUrl[1])
+            .replace(/\\/g, '/')
+        ) || null
+      );
+    }
+    return modulesBySourcePath.get(sourcePath) || null;
+  }
+
+  /**
+   * Column of a diagnostic in the original source of its module. Webpack maps module
+   * code by line or statement, so the original location closure-compiler reports is
+   * the start of the mapped segment. When the line of the compiled code is found
+   * unchanged in the original line, the column of the diagnostic in that line applies.
+   *
+   * @param {!Module} webpackModule
+   * @param {!Object} error closure-compiler JSON diagnostic
+   * @param {{line: number, column: number}} originalLocation
+   * @return {?number} the column, or null when the compiled line is not found
+   */
+  getOriginalColumn(webpackModule, error, originalLocation) {
+    const originalSource =
+      typeof webpackModule.originalSource === 'function'
+        ? webpackModule.originalSource()
+        : null;
+    if (
+      !originalSource ||
+      typeof error.context !== 'string' ||
+      !(error.column >= 0)
+    ) {
+      return null;
+    }
+    const originalLine = originalSource
+      .source()
+      .toString()
+      .split('\n')[originalLocation.line - 1];
+    const [generatedLine] = error.context.split('\n');
+    if (typeof originalLine !== 'string' || generatedLine.trim().length === 0) {
+      return null;
+    }
+    // The compiled line must contain the start of the mapped segment
+    let lineOffset = originalLine.indexOf(generatedLine);
+    while (
+      lineOffset >= 0 &&
+      lineOffset + generatedLine.length < originalLocation.column
+    ) {
+      lineOffset = originalLine.indexOf(generatedLine, lineOffset + 1);
+    }
+    return lineOffset < 0 || lineOffset > originalLocation.column
+      ? null
+      : lineOffset + error.column;
+  }
+
+  /**
+   * Find the originating webpack module and location of a closure-compiler diagnostic.
+   *
+   * @param {!Compilation} compilation
+   * @param {!Object} error closure-compiler JSON diagnostic
+   * @return {{module: ?Module, loc: ?Object}}
+   */
+  locateDiagnostic(compilation, error) {
+    const { originalLocation } = error;
+    if (originalLocation) {
+      const webpackModule = this.findModuleBySourcePath(
+        compilation,
+        originalLocation.source
+      );
+      if (webpackModule) {
+        const column = this.getOriginalColumn(
+          webpackModule,
+          error,
+          originalLocation
+        );
+        if (column === null) {
+          return {
+            module: webpackModule,
+            loc: {
+              start: {
+                line: originalLocation.line,
+                column: originalLocation.column,
+              },
+            },
+          };
+        }
+        const loc = { start: { line: originalLocation.line, column } };
+        if (error.length > 0) {
+          loc.end = {
+            line: originalLocation.line,
+            column: column + error.length,
+          };
+        }
+        return { module: webpackModule, loc };
+      }
+    }
+
+    const webpackModule = this.findModuleBySourcePath(
+      compilation,
+      error.source
+    );
+    if (!webpackModule) {
+      return { module: null, loc: null };
+    }
+    let loc = null;
+    if (error.line === 0 || error.line) {
+      loc = { start: { line: error.line, column: error.column } };
+      if (error.column >= 0 && error.length > 0) {
+        loc.end = { line: error.line, column: error.column + error.length };
+      }
+    }
+    return { module: webpackModule, loc };
+  }
+
+  /**
+   * Path of the file a diagnostic originated from, relative to the webpack context.
+   * Used to match the source condition of diagnostic rules.
+   *
+   * @param {?Module} webpackModule
+   * @param {!Object} error closure-compiler JSON diagnostic
+   * @return {string|undefined}
+   */
+  getDiagnosticSourcePath(webpackModule, error) {
+    let sourcePath;
+    if (webpackModule && webpackModule.resource) {
+      sourcePath = webpackModule.resource.replace(/\?.*$/, '');
+    } else {
+      sourcePath =
+        (error.originalLocation && error.originalLocation.source) ||
+        error.source;
+    }
+    if (!sourcePath) {
+      return undefined; // eslint-disable-line no-undefined
+    }
+    if (path.isAbsolute(sourcePath)) {
+      sourcePath = path.relative(this.context, sourcePath);
+    }
+    return sourcePath.replace(/\\/g, '/');
+  }
+
+  /**
+   * Log how many diagnostics were matched by each of the diagnostics rules.
+   *
+   * @param {!Compilation} compilation
+   */
+  reportDiagnosticRuleCounts(compilation) {
+    const ruleCounts = this.diagnosticRuleCounts.get(compilation);
+    if (!ruleCounts) {
+      return;
+    }
+    const logger = compilation.getLogger(PLUGIN.name);
+    ruleCounts.forEach((count, ruleIndex) => {
+      const { level } = this.diagnosticRules.getRule(ruleIndex);
+      logger.info(
+        `diagnostics[${ruleIndex}] ${
+          level === 'off' ? 'suppressed' : `changed to ${level}`
+        } ${count} diagnostic(s)`
+      );
+    });
+    this.diagnosticRuleCounts.delete(compilation);
+  }
+
+  /**
+   * Load the warnings baseline for a compilation. When the baseline does not exist yet or is
+   * being updated, every warning is recorded instead of compared.
+   *
+   * @param {!Compilation} compilation
+   */
+  startBaselineComparison(compilation) {
+    // Child compilations would overwrite the baseline of the main compilation
+    if (!this.warningsBaseline || compilation.compiler.parentCompilation) {
+      return;
+    }
+    let baselineCounts = null;
+    if (!this.options.baseline.update && this.warningsBaseline.exists()) {
+      try {
+        baselineCounts = this.warningsBaseline.read();
+      } catch (e) {
+        compilation.errors.push(
+          new Error(
+            `${PLUGIN.name}: Unable to read the warnings baseline ${this.warningsBaseline.filePath}\n${e.message}`
+          )
+        );
+        return;
+      }
+    }
+    this.baselineStates.set(compilation, { baselineCounts, entries: [] });
+  }
+
+  /**
+   * Compare a warning against the baseline. Returns false for warnings which are
+   * not part of the baseline.
+   *
+   * @param {!Compilation} compilation
+   * @param {!Object} error closure-compiler JSON diagnostic
+   * @param {string|undefined} sourcePath
+   * @return {boolean}
+   */
+  checkBaseline(compilation, error, sourcePath) {
+    const baselineState = this.baselineStates.get(compilation);
+    if (!baselineState) {
+      return true;
+    }
+    const entry = WarningsBaseline.normalize(error, sourcePath);
+    baselineState.entries.push(entry);
+    if (!baselineState.baselineCounts) {
+      return true;
+    }
+    const id = WarningsBaseline.getEntryId(entry);
+    const remaining = baselineState.baselineCounts.get(id) || 0;
+    if (remaining === 0) {
+      return false;
+    }
+    baselineState.baselineCounts.set(id, remaining - 1);
+    return true;
+  }
+
+  /**
+   * Write the baseline when recording, otherwise report baseline entries which no longer occur.
+   *
+   * @param {!Compilation} compilation
+   */
+  finishBaselineComparison(compilation) {
+    const baselineState = this.baselineStates.get(compilation);
+    if (!baselineState) {
+      return;
+    }
+    this.baselineStates.delete(compilation);
+    if (this.cancelledCompilations.has(compilation)) {
+      return;
+    }
+
+    const logger = compilation.getLogger(PLUGIN.name);
+    const { baselineCounts, entries } = baselineState;
+    if (!baselineCounts) {
+      // A failed build does not produce a complete set of warnings
+      if (compilation.errors.length > 0) {
+        logger.warn(
+          `The warnings baseline ${this.warningsBaseline.filePath} was not written because the build has errors`
+        );
+        return;
+      }
+      try {
+        this.warningsBaseline.write(entries);
+        logger.info(
+          `Wrote ${entries.length} warning(s) to the baseline ${this.warningsBaseline.filePath}`
+        );
+      } catch (e) {
+        compilation.errors.push(
+          new Error(
+            `${PLUGIN.name}: Unable to write the warnings baseline ${this.warningsBaseline.filePath}\n${e.message}`
+          )
+        );
+      }
+      return;
+    }
+
+    const fixed = [];
+    baselineCounts.forEach((count, id) => {
+      if (count > 0) {
+        const { key, source, description } = WarningsBaseline.fromEntryId(id);
+        fixed.push(
+          `  ${source || ''}${key ? ` [${key}]` : ''}: ${description}${
+            count > 1 ? ` (${count} times)` : ''
+          }`
+        );
+      }
+    });
+    if (fixed.length > 0) {
+      logger.warn(
+        `${fixed.length} warning(s) in the baseline ${
+          this.warningsBaseline.filePath
+        } no longer occur. Update the baseline to remove them:\n${fixed.join(
+          '\n'
+        )}`
+      );
+    }
   }
 
   /**
    * Format an array of errors from closure-compiler into webpack style compilation errors
+   *
+   * @param {!Compilation} compilation
+   * @param {!Array<!Object>} errors closure-compiler JSON diagnostics
+   * @param {!Set<string>=} reportedDiagnostics
    */
-  reportErrors(compilation, errors) {
+  reportErrors(compilation, errors, reportedDiagnostics) {
     errors.forEach((error) => {
+      if (reportedDiagnostics) {
+        const diagnosticId = JSON.stringify([
+          error.level,
+          error.key,
+          error.source,
+          error.line,
+          error.column,
+          error.description,
+        ]);
+        if (reportedDiagnostics.has(diagnosticId)) {
+          return;
+        }
+        reportedDiagnostics.add(diagnosticId);
+      }
+
+      const { module: webpackModule, loc } = this.locateDiagnostic(
+        compilation,
+        error
+      );
+
+      let diagnostic = error;
+      const sourcePath = this.getDiagnosticSourcePath(webpackModule, error);
+      if (this.diagnosticRules && error.level !== 'info') {
+        const ruleIndex = this.diagnosticRules.findRule(error, sourcePath);
+        if (ruleIndex >= 0) {
+          if (!this.diagnosticRuleCounts.has(compilation)) {
+            this.diagnosticRuleCounts.set(compilation, new Map());
+          }
+          const ruleCounts = this.diagnosticRuleCounts.get(compilation);
+          ruleCounts.set(ruleIndex, (ruleCounts.get(ruleIndex) || 0) + 1);
+
+          const { level } = this.diagnosticRules.getRule(ruleIndex);
+          if (level === 'off') {
+            return;
+          }
+          diagnostic = Object.assign({}, error, { level });
+        }
+      }
+
+      let notInBaseline = false;
+      if (
+        diagnostic.level === 'warning' &&
+        !this.checkBaseline(compilation, error, sourcePath)
+      ) {
+        notInBaseline = true;
+        diagnostic = Object.assign({}, diagnostic, { level: 'error' });
+      }
+
       let formattedMsg;
-      if (error.source) {
+      if (webpackModule) {
+        // webpack prefixes the message with the module and location
+        formattedMsg = `closure-compiler: ${error.description}`;
+        if (error.context) {
+          formattedMsg += `\n${error.context}`;
+        }
+      } else if (error.source) {
         formattedMsg = this.requestShortener.shorten(error.source);
         if (error.line === 0 || error.line) {
           formattedMsg += `:${error.line}`;
@@ -1365,10 +3364,20 @@ class ClosureCompilerPlugin {
       } else {
         formattedMsg = `closure-compiler: ${error.description.trim()}`;
       }
-      if (error.level === 'error') {
-        compilation.errors.push(new Error(formattedMsg));
-      } else if (error.level !== 'info') {
-        compilation.warnings.push(new Error(formattedMsg));
+      if (notInBaseline) {
+        formattedMsg +=
+          '\nThis warning is not part of the closure-compiler warnings baseline.';
+      }
+      if (diagnostic.level === 'error') {
+        compilation.errors.push(
+          new ClosureCompilerError(formattedMsg, diagnostic, webpackModule, loc)
+        );
+      } else if (diagnostic.level === 'info') {
+        compilation.getLogger(PLUGIN.name).info(formattedMsg);
+      } else {
+        compilation.warnings.push(
+          new ClosureCompilerError(formattedMsg, diagnostic, webpackModule, loc)
+        );
       }
     });
   }
@@ -1381,8 +3390,31 @@ ClosureCompilerPlugin.DEFAULT_OPTIONS = {
   platform: ['native', 'java'],
   test: /\.js(\?.*)?$/i,
   extraCommandArgs: [],
+  cache: false,
+  parallelism: null,
+  compilerServer: null,
+  diagnostics: null,
+  baseline: null,
+  outputLanguages: null,
+  outputLanguagesManifest: 'output-languages.json',
+  sizeReport: false,
+  realContentHash: false,
+  chunkLoadRetries: 0,
+  chunkLoadRetryDelay: 1000,
+  trustedTypes: false,
+  subresourceIntegrity: false,
+  namespace: '__wpcc',
+  jsonpFunction: null,
+  esModuleOutput: false,
+  developmentStrategy: 'full',
+  renamingMaps: null,
+  externalsExterns: true,
+  packageExterns: false,
 };
 
+/** @const */
+ClosureCompilerPlugin.DEFAULT_CACHE_MAX_SIZE = 256 * 1024 * 1024;
+
 /** @const */
 ClosureCompilerPlugin.DEFAULT_FLAGS_AGGRESSIVE_BUNDLE = {
   language_in: 'ECMASCRIPT_NEXT',
@@ -1404,3 +3436,4 @@ ClosureCompilerPlugin.DEFAULT_FLAGS_STANDARD = {
 
 module.exports = ClosureCompilerPlugin;
 module.exports.LibraryPlugin = ClosureLibraryPlugin;
+module.exports.ClosureCompilerError = ClosureCompilerError;
@@ -0,0 +1,135 @@
+/**
+ * @fileoverview
+ * Content addressed on-disk cache of closure-compiler results.
+ *
+ * Entries are keyed on everything which can influence the compiler output:
+ * the flags, the contents of any externs, the input sources and the versions
+ * of both this plugin and closure-compiler.
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const ensureDir = require('./ensure-dir');
+
+const PLUGIN_VERSION = require('../package.json').version;
+
+let compilerVersion = 'unknown';
+try {
+  compilerVersion = require('google-closure-compiler/package.json').version; // eslint-disable-line global-require
+} catch (e) {}
+
+class CompilationCache {
+  /**
+   * @param {{directory: string, maxSize: number}} options
+   */
+  constructor(options) {
+    this.directory = options.directory;
+    this.maxSize = options.maxSize;
+  }
+
+  /**
+   * Compute the cache key for a single compiler invocation.
+   *
+   * @param {!Object<string, (string|!Array<string>|boolean)>} flags
+   * @param {!Array<!{path: string, src: string, sourceMap: string}>} sources
+   * @return {string}
+   */
+  getKey(flags, sources) {
+    const hash = crypto.createHash('sha256');
+    hash.update(`${PLUGIN_VERSION}\n${compilerVersion}\n`);
+    hash.update(JSON.stringify(flags));
+
+    let externs = [];
+    if (Array.isArray(flags.externs)) {
+      externs = flags.externs; // eslint-disable-line prefer-destructuring
+    } else if (flags.externs != null) {
+      externs = [flags.externs];
+    }
+    externs.forEach((externsPath) => {
+      hash.update(`\n${externsPath}\n`);
+      try {
+        hash.update(fs.readFileSync(externsPath));
+      } catch (e) {}
+    });
+
+    hash.update(JSON.stringify(sources));
+    return hash.digest('hex');
+  }
+
+  /**
+   * @param {string} key
+   * @return {string}
+   */
+  getEntryPath(key) {
+    return path.join(this.directory, `${key}.json`);
+  }
+
+  /**
+   * Return the stored result for a key or null if there is none.
+   *
+   * @param {string} key
+   * @return {?{outputFiles: !Array<!Object>, errors: !Array<!Object>}}
+   */
+  get(key) {
+    const entryPath = this.getEntryPath(key);
+    let entry;
+    try {
+      entry = JSON.parse(fs.readFileSync(entryPath, 'utf8'));
+    } catch (e) {
+      return null;
+    }
+    // Track usage so that pruning removes the least recently used entries first
+    try {
+      const now = new Date();
+      fs.utimesSync(entryPath, now, now);
+    } catch (e) {}
+    return entry;
+  }
+
+  /**
+   * Store the result of a compilation and prune the cache if it has grown
+   * beyond its maximum size.
+   *
+   * @param {string} key
+   * @param {{outputFiles: !Array<!Object>, errors: !Array<!Object>}} entry
+   */
+  set(key, entry) {
+    ensureDir(this.directory);
+    // Write to a temporary file first so that parallel builds never read a partial entry
+    const entryPath = this.getEntryPath(key);
+    const tmpPath = `${entryPath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(entry), 'utf8');
+    fs.renameSync(tmpPath, entryPath);
+    this.prune();
+  }
+
+  /**
+   * Remove the least recently used entries until the cache fits in maxSize bytes.
+   */
+  prune() {
+    if (!(this.maxSize > 0)) {
+      return;
+    }
+    let totalSize = 0;
+    const entries = fs
+      .readdirSync(this.directory)
+      .filter((filename) => /\.json$/.test(filename))
+      .map((filename) => {
+        const entryPath = path.join(this.directory, filename);
+        const stats = fs.statSync(entryPath);
+        totalSize += stats.size;
+        return { entryPath, size: stats.size, mtime: stats.mtime.getTime() };
+      })
+      .sort((a, b) => a.mtime - b.mtime);
+
+    while (totalSize > this.maxSize && entries.length > 0) {
+      const { entryPath, size } = entries.shift();
+      try {
+        fs.unlinkSync(entryPath);
+        totalSize -= size;
+      } catch (e) {}
+    }
+  }
+}
+
+module.exports = CompilationCache;
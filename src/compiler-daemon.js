@@ -0,0 +1,166 @@
+/**
+ * @fileoverview
+ * Manage a long-lived closure-compiler server process.
+ *
+ * The server is driven over stdin/stdout with newline delimited JSON.
+ * Each request is a single line:
+ *
+ *   {"id": 1, "flags": {...}, "sources": [{"path": ..., "src": ..., "sourceMap": ...}]}
+ *
+ * and the server answers each request, in any order, with a single line:
+ *
+ *   {"id": 1, "exitCode": 0, "stdout": "...", "stderr": "..."}
+ *
+ * where stdout and stderr are what closure-compiler would have written when run
+ * with the same flags and `--json_streams=BOTH`.
+ *
+ * A request which is no longer needed is abandoned with:
+ *
+ *   {"id": 1, "cancel": true}
+ *
+ * Servers should stop work on the request. Any response for it is ignored.
+ */
+const { spawn } = require('child_process');
+const readline = require('readline');
+
+/** Number of trailing characters of server stderr output kept for error messages */
+const MAX_STDERR_LENGTH = 4096;
+
+class CompilerDaemon {
+  /**
+   * @param {string} command
+   * @param {!Array<string>} args
+   */
+  constructor(command, args) {
+    this.command = command;
+    this.args = args;
+    this.process = null;
+    this.nextRequestId = 1;
+    /** @type {!Map<number, {resolve: function(!Object), reject: function(!Error)}>} */
+    this.pending = new Map();
+  }
+
+  /**
+   * Launch the server if it is not already running. A server which has exited
+   * is restarted by the next call.
+   */
+  start() {
+    if (this.process) {
+      return;
+    }
+    const serverProcess = spawn(this.command, this.args, { stdio: 'pipe' });
+    this.process = serverProcess;
+
+    let stdErrData = '';
+    serverProcess.stderr.on('data', (data) => {
+      stdErrData = (stdErrData + data).slice(-MAX_STDERR_LENGTH);
+    });
+
+    // Ignore errors (EPIPE) if the server input stream is closed
+    serverProcess.stdin.on('error', (err) => {});
+
+    readline
+      .createInterface({ input: serverProcess.stdout })
+      .on('line', (line) => this.onResponse(line));
+
+    serverProcess.on('error', (err) => this.onExit(serverProcess, err));
+    serverProcess.on('exit', (code, signal) =>
+      this.onExit(
+        serverProcess,
+        new Error(
+          `closure-compiler server exited with ${
+            signal ? `signal ${signal}` : `code ${code}`
+          }\n${stdErrData}`
+        )
+      )
+    );
+  }
+
+  /**
+   * Shut the server down. Any requests still in flight are rejected.
+   */
+  stop() {
+    if (!this.process) {
+      return;
+    }
+    const serverProcess = this.process;
+    this.onExit(serverProcess, new Error('closure-compiler server stopped'));
+    serverProcess.stdin.end();
+    serverProcess.kill();
+  }
+
+  /**
+   * @param {!Object<string, (string|!Array<string>|boolean)>} flags
+   * @param {!Array<!Object>} sources
+   * @return {{
+   *   id: number,
+   *   response: !Promise<{exitCode: number, stdout: string, stderr: string}>
+   * }}
+   */
+  compile(flags, sources) {
+    this.start();
+    const id = this.nextRequestId;
+    this.nextRequestId += 1;
+    const response = new Promise((resolve, reject) => {
+      this.pending.set(id, { resolve, reject });
+      this.process.stdin.write(`${JSON.stringify({ id, flags, sources })}\n`);
+    });
+    return { id, response };
+  }
+
+  /**
+   * Abandon an in-flight request. Its response promise is rejected.
+   *
+   * @param {number} id
+   */
+  cancel(id) {
+    const request = this.pending.get(id);
+    if (!request) {
+      return;
+    }
+    this.pending.delete(id);
+    this.process.stdin.write(`${JSON.stringify({ id, cancel: true })}\n`);
+    request.reject(new Error(`closure-compiler request ${id} cancelled`));
+  }
+
+  /**
+   * @param {string} line
+   */
+  onResponse(line) {
+    if (line.trim().length === 0) {
+      return;
+    }
+    let response;
+    try {
+      response = JSON.parse(line);
+    } catch (e) {
+      return;
+    }
+    const request = this.pending.get(response.id);
+    if (!request) {
+      return;
+    }
+    this.pending.delete(response.id);
+    request.resolve({
+      exitCode: response.exitCode,
+      stdout: response.stdout || '',
+      stderr: response.stderr || '',
+    });
+  }
+
+  /**
+   * @param {!ChildProcess} serverProcess
+   * @param {!Error} err
+   */
+  onExit(serverProcess, err) {
+    if (this.process !== serverProcess) {
+      return;
+    }
+    this.process = null;
+    const { pending } = this;
+    this.pending = new Map();
+    pending.forEach(({ reject }) => reject(err));
+  }
+}
+
+module.exports = CompilerDaemon;
@@ -0,0 +1,55 @@
+/**
+ * @fileoverview
+ * Limit the number of closure-compiler processes which run at the same time.
+ * Jobs beyond the concurrency limit wait in first-in first-out order.
+ */
+class CompilerQueue {
+  /**
+   * @param {number} concurrency maximum number of jobs to run at once
+   */
+  constructor(concurrency) {
+    this.concurrency = Math.max(1, concurrency);
+    this.running = 0;
+    this.pending = [];
+  }
+
+  /**
+   * Schedule a job. The job is passed the number of milliseconds it waited
+   * in the queue before starting.
+   *
+   * @param {function(number):!Promise<T>} job
+   * @return {!Promise<T>}
+   * @template T
+   */
+  add(job) {
+    return new Promise((resolve, reject) => {
+      this.pending.push({ job, resolve, reject, queuedAt: Date.now() });
+      this.next();
+    });
+  }
+
+  next() {
+    while (this.running < this.concurrency && this.pending.length > 0) {
+      const { job, resolve, reject, queuedAt } = this.pending.shift();
+      this.running += 1;
+      const done = () => {
+        this.running -= 1;
+        this.next();
+      };
+      Promise.resolve(Date.now() - queuedAt)
+        .then(job)
+        .then(
+          (result) => {
+            done();
+            resolve(result);
+          },
+          (err) => {
+            done();
+            reject(err);
+          }
+        );
+    }
+  }
+}
+
+module.exports = CompilerQueue;
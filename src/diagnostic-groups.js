@@ -0,0 +1,46 @@
+/**
+ * @fileoverview
+ * Keys of the closure-compiler diagnostic groups which diagnostics rules can match.
+ *
+ * closure-compiler reports the key of a diagnostic but not its group, so the groups
+ * used with the `jscomp_warning`, `jscomp_error` and `jscomp_off` flags are listed here.
+ * Only groups with a short, stable list of keys are supported. Groups such as
+ * `checkTypes` or `visibility` combine the diagnostics of many passes, which change
+ * between closure-compiler releases, and are rejected.
+ */
+
+/** @const {!Object<string, !Array<string>>} */
+module.exports = {
+  deprecated: [
+    'JSC_DEPRECATED_CLASS',
+    'JSC_DEPRECATED_CLASS_REASON',
+    'JSC_DEPRECATED_PROP',
+    'JSC_DEPRECATED_PROP_REASON',
+    'JSC_DEPRECATED_VAR',
+    'JSC_DEPRECATED_VAR_REASON',
+  ],
+  globalThis: ['JSC_USED_GLOBAL_THIS'],
+  missingProperties: [
+    'JSC_INEXISTENT_PROPERTY',
+    'JSC_INEXISTENT_PROPERTY_WITH_SUGGESTION',
+    'JSC_POSSIBLE_INEXISTENT_PROPERTY',
+  ],
+  strictMissingProperties: [
+    'JSC_STRICT_INEXISTENT_PROPERTY',
+    'JSC_STRICT_INEXISTENT_PROPERTY_WITH_SUGGESTION',
+    'JSC_STRICT_INEXISTENT_UNION_PROPERTY',
+  ],
+  suspiciousCode: [
+    'JSC_COMMONJS_SUSPICIOUS_EXPORTS_ASSIGNMENT',
+    'JSC_DETERMINISTIC_TEST',
+    'JSC_DUPLICATE_CASE',
+    'JSC_SUSPICIOUS_IN',
+    'JSC_SUSPICIOUS_INSTANCEOF_LEFT',
+    'JSC_SUSPICIOUS_LEFT_OPERAND_OF_LOGICAL_OPERATOR',
+    'JSC_SUSPICIOUS_NAN',
+    'JSC_SUSPICIOUS_NEGATED_LEFT_OPERAND_OF_IN_OPERATOR',
+    'JSC_SUSPICIOUS_SEMICOLON',
+  ],
+  undefinedVars: ['JSC_UNDEFINED_VARIABLE'],
+  uselessCode: ['JSC_UNREACHABLE_CODE', 'JSC_USELESS_CODE'],
+};
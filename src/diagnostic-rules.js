@@ -0,0 +1,154 @@
+/**
+ * @fileoverview
+ * Rules which suppress or change the level of closure-compiler diagnostics.
+ *
+ * A rule matches a diagnostic when every condition it specifies matches:
+ *
+ *   - key: diagnostic key such as `JSC_TYPE_MISMATCH`. A string, RegExp or an array of either.
+ *   - group: closure-compiler diagnostic group such as `suspiciousCode`, or an array of groups.
+ *   - source: path of the originating file relative to the webpack context. A glob
+ *     such as `node_modules/**`, a RegExp or an array of either.
+ *   - message: a RegExp, or a string which must be contained in the description.
+ *
+ * The first matching rule determines the level of the diagnostic: `off`, `info`, `warning`
+ * or `error`.
+ */
+const DIAGNOSTIC_GROUPS = require('./diagnostic-groups');
+
+/**
+ * Convert a glob into a regular expression. Supports `**` to match any number of
+ * directories, `*` to match within a single directory and `?` to match a single character.
+ *
+ * @param {string} glob
+ * @return {!RegExp}
+ */
+function globToRegExp(glob) {
+  let pattern = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      i += 1;
+      if (glob[i + 1] === '/') {
+        // "**/" matches zero or more directories
+        i += 1;
+        pattern += '(?:.*/)?';
+      } else {
+        pattern += '.*';
+      }
+    } else if (char === '*') {
+      pattern += '[^/]*';
+    } else if (char === '?') {
+      pattern += '[^/]';
+    } else {
+      pattern += char.replace(/[\\^$.|+()[\]{}]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${pattern}$`);
+}
+
+/**
+ * Match a string which contains the text.
+ *
+ * @param {string} text
+ * @return {!RegExp}
+ */
+function substringToRegExp(text) {
+  return new RegExp(text.replace(/[\\^$.*+?|()[\]{}]/g, '\\$&'));
+}
+
+/**
+ * @param {string|!RegExp|!Array<string|!RegExp>|undefined} condition
+ * @param {?function(string):!RegExp} stringToRegExp how strings are matched, or null for equality
+ * @return {?function(string):boolean}
+ */
+function createMatcher(condition, stringToRegExp) {
+  if (condition == null) {
+    return null;
+  }
+  const tests = (Array.isArray(condition) ? condition : [condition]).map(
+    (item) => {
+      if (item instanceof RegExp) {
+        return (value) => item.test(value);
+      }
+      if (stringToRegExp) {
+        const regExp = stringToRegExp(item);
+        return (value) => regExp.test(value);
+      }
+      return (value) => value === item;
+    }
+  );
+  return (value) =>
+    typeof value === 'string' && tests.some((test) => test(value));
+}
+
+/**
+ * @param {string|!Array<string>|undefined} groups
+ * @return {?function(string):boolean}
+ */
+function createGroupMatcher(groups) {
+  if (groups == null) {
+    return null;
+  }
+  const keys = new Set();
+  (Array.isArray(groups) ? groups : [groups]).forEach((group) => {
+    if (!Object.prototype.hasOwnProperty.call(DIAGNOSTIC_GROUPS, group)) {
+      throw new Error(
+        `closure-webpack-plugin: diagnostic group ${group} is not supported. Supported groups: ${Object.keys(
+          DIAGNOSTIC_GROUPS
+        ).join(', ')}. Match the keys of other groups with the key condition.`
+      );
+    }
+    DIAGNOSTIC_GROUPS[group].forEach((key) => keys.add(key));
+  });
+  return (value) => keys.has(value);
+}
+
+class DiagnosticRules {
+  /**
+   * @param {!Array<{
+   *   key: (string|!RegExp|!Array<string|!RegExp>|undefined),
+   *   group: (string|!Array<string>|undefined),
+   *   source: (string|!RegExp|!Array<string|!RegExp>|undefined),
+   *   message: (string|!RegExp|undefined),
+   *   level: string
+   * }>} rules
+   */
+  constructor(rules) {
+    this.rules = rules.map((rule) => {
+      return {
+        rule,
+        key: createMatcher(rule.key, null),
+        group: createGroupMatcher(rule.group),
+        source: createMatcher(rule.source, globToRegExp),
+        message: createMatcher(rule.message, substringToRegExp),
+      };
+    });
+  }
+
+  /**
+   * Find the index of the first rule which matches a diagnostic.
+   *
+   * @param {!Object} diagnostic closure-compiler JSON diagnostic
+   * @param {string|undefined} sourcePath
+   * @return {number} index of the rule or -1 if no rule matches
+   */
+  findRule(diagnostic, sourcePath) {
+    return this.rules.findIndex(
+      ({ key, group, source, message }) =>
+        (!key || key(diagnostic.key)) &&
+        (!group || group(diagnostic.key)) &&
+        (!source || source(sourcePath)) &&
+        (!message || message(diagnostic.description))
+    );
+  }
+
+  /**
+   * @param {number} index
+   * @return {!Object}
+   */
+  getRule(index) {
+    return this.rules[index].rule;
+  }
+}
+
+module.exports = DiagnosticRules;
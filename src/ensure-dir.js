@@ -0,0 +1,14 @@
+/**
+ * @fileoverview
+ * Create a directory and any missing parents.
+ */
+const fs = require('fs');
+const path = require('path');
+
+module.exports = function ensureDir(dir) {
+  if (fs.existsSync(dir)) {
+    return;
+  }
+  ensureDir(path.dirname(dir));
+  fs.mkdirSync(dir);
+};
@@ -0,0 +1,250 @@
+/**
+ * @fileoverview
+ * Import and export declarations between the chunks of the esModuleOutput option.
+ *
+ * closure-compiler shares the symbols used across chunks as properties of the namespace
+ * object. Each property which a single chunk assigns becomes a variable of the module of
+ * that chunk, exported by it and imported by the chunks which use it: `__wpcc.name` is
+ * rewritten to `__wpcc$name`, which has the same length so source maps are not affected.
+ * The declarations are appended to the compiled code, as they are hoisted.
+ *
+ * Chunks only import from the files the page loads before them: the runtime and entry
+ * chunks. A late loaded chunk is imported again under a different URL when it is
+ * requested with a `chunk-retry` query, so the properties assigned by late loaded chunks
+ * stay on the namespace object, as do the properties assigned by the runtime when several
+ * entry chunks contain a copy of it.
+ */
+const path = require('path');
+const { parseJavaScript } = require('./webpack-compat');
+
+/**
+ * @param {!Object} node
+ * @param {!Array<!Object>} ancestors
+ * @param {function(!Object, !Array<!Object>)} visit
+ */
+function walk(node, ancestors, visit) {
+  visit(node, ancestors);
+  ancestors.push(node);
+  Object.keys(node).forEach((key) => {
+    const children = Array.isArray(node[key]) ? node[key] : [node[key]];
+    children.forEach((child) => {
+      if (child && typeof child.type === 'string') {
+        walk(child, ancestors, visit);
+      }
+    });
+  });
+  ancestors.pop();
+}
+
+/**
+ * @param {!Object} node
+ * @param {!Array<!Object>} ancestors
+ * @return {boolean} whether the node is the target of an assignment
+ */
+function isAssigned(node, ancestors) {
+  let child = node;
+  for (let i = ancestors.length - 1; i >= 0; i--) {
+    const parent = ancestors[i];
+    switch (parent.type) {
+      case 'AssignmentExpression':
+      case 'ForInStatement':
+      case 'ForOfStatement':
+        return parent.left === child;
+      case 'UpdateExpression':
+        return true;
+      case 'UnaryExpression':
+        return parent.operator === 'delete';
+      case 'AssignmentPattern':
+        if (parent.left !== child) {
+          return false;
+        }
+        break;
+      case 'Property':
+        if (ancestors[i - 1].type !== 'ObjectPattern') {
+          return false;
+        }
+        break;
+      case 'ObjectPattern':
+      case 'ArrayPattern':
+      case 'RestElement':
+        break;
+      default:
+        return false;
+    }
+    child = parent;
+  }
+  return false;
+}
+
+/**
+ * @param {string} namespace
+ * @param {string} src
+ * @return {{
+ *   assigned: !Set<string>,
+ *   references: !Map<string, !Array<number>>,
+ *   identifiers: !Set<string>,
+ *   unlinkable: !Set<string>
+ * }} the namespace properties the code assigns and the offsets of the dot of each
+ *     reference to them
+ */
+function findNamespaceProperties(namespace, src) {
+  const assigned = new Set();
+  const references = new Map();
+  const identifiers = new Set();
+  const unlinkable = new Set();
+  walk(parseJavaScript(src), [], (node, ancestors) => {
+    if (node.type === 'Identifier') {
+      identifiers.add(node.name);
+      return;
+    }
+    if (
+      node.type !== 'MemberExpression' ||
+      node.computed ||
+      node.object.type !== 'Identifier' ||
+      node.object.name !== namespace
+    ) {
+      return;
+    }
+    const { name } = node.property;
+    if (src.slice(node.object.end, node.property.start) !== '.') {
+      unlinkable.add(name);
+    }
+    if (isAssigned(node, ancestors)) {
+      assigned.add(name);
+    }
+    if (!references.has(name)) {
+      references.set(name, []);
+    }
+    references.get(name).push(node.object.end);
+  });
+  return { assigned, references, identifiers, unlinkable };
+}
+
+/**
+ * @param {string} fromFile
+ * @param {string} toFile
+ * @return {string} module specifier of toFile relative to fromFile
+ */
+function getRelativeSpecifier(fromFile, toFile) {
+  const specifier = path.posix.relative(path.posix.dirname(fromFile), toFile);
+  return /^\.\.?\//.test(specifier) ? specifier : `./${specifier}`;
+}
+
+/**
+ * Link the compiled chunks through import and export declarations.
+ *
+ * @param {string} namespace
+ * @param {!Array<{
+ *   name: string,
+ *   src: string,
+ *   files: !Array<string>,
+ *   ancestors: !Set<string>,
+ *   importable: boolean
+ * }>} outputs the compiled code of each chunk with the files it is emitted in, the
+ *     chunks loaded before it and whether other chunks may import from it
+ * @return {!Map<string, string>} linked code by chunk name
+ */
+function linkEsModuleChunks(namespace, outputs) {
+  const properties = new Map(
+    outputs.map((output) => [
+      output.name,
+      findNamespaceProperties(namespace, output.src),
+    ])
+  );
+  const identifiers = new Set();
+  properties.forEach((found) =>
+    found.identifiers.forEach((identifier) => identifiers.add(identifier))
+  );
+
+  // The chunk assigning each property, or null when several chunks assign it
+  const definingOutputs = new Map();
+  outputs.forEach((output) => {
+    properties.get(output.name).assigned.forEach((name) => {
+      definingOutputs.set(name, definingOutputs.has(name) ? null : output);
+    });
+  });
+
+  /** @type {!Map<string, !Map<string, !Set<string>>>} imported names by file per chunk */
+  const imports = new Map(outputs.map((output) => [output.name, new Map()]));
+  const linked = new Set();
+  definingOutputs.forEach((definingOutput, name) => {
+    if (
+      !definingOutput ||
+      !definingOutput.importable ||
+      identifiers.has(`${namespace}$${name}`)
+    ) {
+      return;
+    }
+    const outputImports = new Map();
+    const linkable = outputs.every((output) => {
+      const found = properties.get(output.name);
+      if (!found.references.has(name) || output === definingOutput) {
+        return true;
+      }
+      if (
+        found.unlinkable.has(name) ||
+        !output.ancestors.has(definingOutput.name)
+      ) {
+        return false;
+      }
+      if (output.files.every((file) => definingOutput.files.includes(file))) {
+        return true;
+      }
+      if (definingOutput.files.length !== 1 || output.files.length !== 1) {
+        return false;
+      }
+      outputImports.set(output.name, definingOutput.files[0]);
+      return true;
+    });
+    if (!linkable || properties.get(definingOutput.name).unlinkable.has(name)) {
+      return;
+    }
+    linked.add(name);
+    outputImports.forEach((fromFile, outputName) => {
+      const outputImportsByFile = imports.get(outputName);
+      if (!outputImportsByFile.has(fromFile)) {
+        outputImportsByFile.set(fromFile, new Set());
+      }
+      outputImportsByFile.get(fromFile).add(name);
+    });
+  });
+
+  const linkedSources = new Map();
+  outputs.forEach((output) => {
+    const found = properties.get(output.name);
+    const chars = output.src.split('');
+    found.references.forEach((offsets, name) => {
+      if (linked.has(name)) {
+        offsets.forEach((offset) => {
+          chars[offset] = '$';
+        });
+      }
+    });
+    const declarations = [];
+    const exported = Array.from(found.assigned)
+      .filter((name) => linked.has(name))
+      .map((name) => `${namespace}$${name}`);
+    if (exported.length > 0) {
+      declarations.push(
+        `var ${exported.join(', ')};export { ${exported.join(', ')} };`
+      );
+    }
+    imports.get(output.name).forEach((names, fromFile) => {
+      declarations.push(
+        `import { ${Array.from(names)
+          .map((name) => `${namespace}$${name}`)
+          .join(', ')} } from ${JSON.stringify(
+          getRelativeSpecifier(output.files[0], fromFile)
+        )};`
+      );
+    });
+    linkedSources.set(
+      output.name,
+      chars.join('') +
+        (declarations.length > 0 ? `\n${declarations.join('\n')}` : '')
+    );
+  });
+  return linkedSources;
+}
+
+module.exports = linkEsModuleChunks;
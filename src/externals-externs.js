@@ -0,0 +1,261 @@
+/**
+ * @fileoverview
+ * Externs for the modules listed in webpack `externals`.
+ *
+ * Closure-compiler renames every property which is not declared in externs, including
+ * properties of libraries loaded outside of the bundle. Modules which import an external
+ * are parsed to find the properties they access on it: named imports, destructured requires
+ * and member expressions chained on the imported binding. Globals referenced by `var`
+ * style externals are declared as well.
+ */
+const ExternalModule = require('webpack/lib/ExternalModule');
+const {
+  getDependencyModule,
+  getModules,
+  parseJavaScript,
+} = require('./webpack-compat');
+
+/** External types which do not reference the external through a global variable */
+const NON_GLOBAL_EXTERNAL_TYPES = new Set([
+  'this',
+  'window',
+  'self',
+  'global',
+  'commonjs',
+  'commonjs2',
+  'amd',
+  'amd-require',
+  'umd',
+  'umd2',
+  'system',
+]);
+
+/**
+ * @param {!Object} node
+ * @param {function(!Object)} visit
+ */
+function walk(node, visit) {
+  visit(node);
+  Object.keys(node).forEach((key) => {
+    const children = Array.isArray(node[key]) ? node[key] : [node[key]];
+    children.forEach((child) => {
+      if (child && typeof child.type === 'string') {
+        walk(child, visit);
+      }
+    });
+  });
+}
+
+/**
+ * @param {!Object} node
+ * @return {?string} the request of a `require('request')` call
+ */
+function getRequireRequest(node) {
+  if (
+    node.type === 'CallExpression' &&
+    node.callee.type === 'Identifier' &&
+    node.callee.name === 'require' &&
+    node.arguments.length === 1 &&
+    node.arguments[0].type === 'Literal' &&
+    typeof node.arguments[0].value === 'string'
+  ) {
+    return node.arguments[0].value;
+  }
+  return null;
+}
+
+/**
+ * @param {!Object} node object pattern or import specifier key
+ * @return {?string}
+ */
+function getKeyName(node) {
+  if (node.type === 'Identifier') {
+    return node.name;
+  }
+  return null;
+}
+
+/**
+ * Collect the properties a module accesses on the externals it imports.
+ *
+ * @param {!Object} ast
+ * @param {!Map<string, !ExternalModule>} externalsByRequest
+ * @param {!Map<!ExternalModule, !Set<string>>} usedProperties
+ */
+function collectUsedProperties(ast, externalsByRequest, usedProperties) {
+  // Local names bound to an external. Shadowing is ignored, which can only add properties.
+  const bindings = new Map();
+  const addProperty = (externalModule, name) => {
+    if (name !== null && name !== 'default') {
+      usedProperties.get(externalModule).add(name);
+    }
+  };
+
+  walk(ast, (node) => {
+    if (
+      node.type === 'ImportDeclaration' &&
+      externalsByRequest.has(node.source.value)
+    ) {
+      const externalModule = externalsByRequest.get(node.source.value);
+      node.specifiers.forEach((specifier) => {
+        if (specifier.type === 'ImportSpecifier') {
+          addProperty(externalModule, getKeyName(specifier.imported));
+        }
+        bindings.set(specifier.local.name, externalModule);
+      });
+    } else if (node.type === 'VariableDeclarator' && node.init) {
+      const request = getRequireRequest(node.init);
+      if (request === null || !externalsByRequest.has(request)) {
+        return;
+      }
+      const externalModule = externalsByRequest.get(request);
+      if (node.id.type === 'Identifier') {
+        bindings.set(node.id.name, externalModule);
+      } else if (node.id.type === 'ObjectPattern') {
+        node.id.properties.forEach((property) => {
+          if (property.type === 'Property' && !property.computed) {
+            addProperty(externalModule, getKeyName(property.key));
+            if (property.value.type === 'Identifier') {
+              bindings.set(property.value.name, externalModule);
+            }
+          }
+        });
+      }
+    }
+  });
+
+  walk(ast, (node) => {
+    if (node.type !== 'MemberExpression' || node.computed) {
+      return;
+    }
+    // Follow the chain, including method calls, back to the object it starts from
+    let root = node.object;
+    while (
+      root.type === 'MemberExpression' ||
+      (root.type === 'CallExpression' &&
+        root.callee.type === 'MemberExpression')
+    ) {
+      root = root.type === 'MemberExpression' ? root.object : root.callee;
+    }
+    let externalModule;
+    if (root.type === 'Identifier') {
+      externalModule = bindings.get(root.name);
+    } else {
+      externalModule = externalsByRequest.get(getRequireRequest(root));
+    }
+    if (externalModule) {
+      addProperty(externalModule, node.property.name);
+    }
+  });
+}
+
+/**
+ * @param {!ExternalModule} externalModule
+ * @return {?string} name of the global variable the external is read from
+ */
+function getGlobalName(externalModule) {
+  if (NON_GLOBAL_EXTERNAL_TYPES.has(externalModule.externalType)) {
+    return null;
+  }
+  let { request } = externalModule;
+  if (Array.isArray(request)) {
+    [request] = request;
+  }
+  if (typeof request === 'string' && /^[A-Za-z_$][\w$]*$/.test(request)) {
+    return request;
+  }
+  return null;
+}
+
+/**
+ * Generate externs for the externals used by a compilation.
+ *
+ * @param {!Compilation} compilation
+ * @return {?{path: string, src: string}} null when the compilation has no externals
+ */
+module.exports = function getExternalsExterns(compilation) {
+  const externalModules = getModules(compilation).filter(
+    (webpackModule) => webpackModule instanceof ExternalModule
+  );
+  if (externalModules.length === 0) {
+    return null;
+  }
+  const usedProperties = new Map(
+    externalModules.map((externalModule) => [externalModule, new Set()])
+  );
+
+  // Concatenated modules keep the dependencies and sources of the modules they contain
+  const webpackModules = [].concat(
+    ...getModules(compilation).map((webpackModule) =>
+      webpackModule.modules ? webpackModule.modules : [webpackModule]
+    )
+  );
+  webpackModules.forEach((webpackModule) => {
+    const externalsByRequest = new Map();
+    webpackModule.dependencies.forEach((dependency) => {
+      const dependencyModule = getDependencyModule(compilation, dependency);
+      if (
+        dependencyModule instanceof ExternalModule &&
+        typeof dependency.request === 'string'
+      ) {
+        externalsByRequest.set(dependency.request, dependencyModule);
+      }
+    });
+    if (externalsByRequest.size === 0 || !webpackModule.originalSource()) {
+      return;
+    }
+    let ast;
+    try {
+      ast = parseJavaScript(
+        webpackModule
+          .originalSource()
+          .source()
+          .toString()
+      );
+    } catch (e) {
+      // webpack has already reported the syntax error
+      return;
+    }
+    collectUsedProperties(ast, externalsByRequest, usedProperties);
+  });
+
+  const declarations = [];
+  externalModules
+    .slice()
+    .sort((a, b) => (a.identifier() < b.identifier() ? -1 : 1))
+    .forEach((externalModule, index) => {
+      const globalName = getGlobalName(externalModule);
+      const properties = Array.from(usedProperties.get(externalModule)).sort();
+      if (!globalName && properties.length === 0) {
+        return;
+      }
+      // Properties on externs are never renamed, whichever object declares them
+      const objectName = globalName || `WebpackExternal${index}`;
+      const lines = [`// ${externalModule.identifier()}`];
+      if (globalName) {
+        lines.push('/** @const */', `var ${globalName} = {};`);
+      } else {
+        lines.push('/** @record */', `function ${objectName}() {}`);
+      }
+      properties.forEach((property) => {
+        lines.push(
+          '/** @type {?} */',
+          globalName
+            ? `${objectName}.${property};`
+            : `${objectName}.prototype.${property};`
+        );
+      });
+      declarations.push(lines.join('\n'));
+    });
+
+  return {
+    path: '__webpack_externals_externs__.js',
+    src: `/**
+ * @fileoverview externs generated from the webpack externals
+ * @externs
+ */
+
+${declarations.join('\n\n')}
+`,
+  };
+};
@@ -0,0 +1,238 @@
+/**
+ * @fileoverview
+ * Library output of AGGRESSIVE_BUNDLE mode.
+ *
+ * The exports of the entry module are collected by a generated module, which stores
+ * them on the namespace object under a quoted property so that closure-compiler keeps
+ * them and their names. The output wrapper of the entry chunk returns that object and
+ * exposes it as `output.libraryTarget` requires.
+ */
+const path = require('path');
+const { getDependencyModule, getModuleId } = require('./webpack-compat');
+
+/** Property of the namespace object holding the exports of the library */
+const LIBRARY_EXPORTS_PROPERTY = '__webpack_library_exports__';
+
+const SUPPORTED_LIBRARY_TARGETS = new Set([
+  'var',
+  'assign',
+  'this',
+  'window',
+  'self',
+  'global',
+  'commonjs',
+  'commonjs2',
+  'umd',
+  'umd2',
+]);
+
+/**
+ * Whether the output is a library, with the same condition webpack uses to apply the
+ * LibraryTemplatePlugin.
+ *
+ * @param {!Object} outputOptions
+ * @return {boolean}
+ */
+function isLibraryOutput(outputOptions) {
+  return Boolean(
+    outputOptions.library ||
+      (outputOptions.libraryTarget && outputOptions.libraryTarget !== 'var')
+  );
+}
+
+/**
+ * @param {(string|!Array<string>|!Object<string, (string|!Array<string>)>|undefined)} library
+ * @param {string} type `root`, `amd` or `commonjs`, for the object form used by UMD
+ * @return {!Array<string>} the parts of the library name
+ */
+function getLibraryNames(library, type) {
+  let names = library;
+  if (names && typeof names === 'object' && !Array.isArray(names)) {
+    names = names[type] || names.root;
+  }
+  if (!names) {
+    return [];
+  }
+  return [].concat(names);
+}
+
+/**
+ * @param {string} objectExpression
+ * @param {!Array<string>} names
+ * @return {string}
+ */
+function getAccessor(objectExpression, names) {
+  return (
+    objectExpression + names.map((name) => `[${JSON.stringify(name)}]`).join('')
+  );
+}
+
+/**
+ * Statements assigning a value to a property path, creating the intermediate objects.
+ * Without a name, every property of the value is copied to the object instead.
+ *
+ * @param {string} objectExpression
+ * @param {!Array<string>} names
+ * @param {string} valueExpression
+ * @return {string}
+ */
+function getAssignment(objectExpression, names, valueExpression) {
+  if (names.length === 0) {
+    return `(function(e, t) { for (var k in e) t[k] = e[k]; })(${valueExpression}, ${objectExpression});`;
+  }
+  return names
+    .map((name, index) => {
+      const accessor = getAccessor(objectExpression, names.slice(0, index + 1));
+      return index === names.length - 1
+        ? `${accessor} = ${valueExpression};`
+        : `${accessor} = ${accessor} || {};`;
+    })
+    .join('');
+}
+
+/**
+ * Output wrapper of an entry chunk which exposes the library exports.
+ *
+ * @param {!Compilation} compilation
+ * @param {string} namespace
+ * @return {string}
+ */
+function getLibraryChunkWrapper(compilation, namespace) {
+  const {
+    library,
+    libraryTarget = 'var',
+    libraryExport,
+  } = compilation.outputOptions;
+  const globalObject = compilation.outputOptions.globalObject || 'window';
+  const thisExpression = `this || ${globalObject}`;
+  const namespaceExpression = `(${globalObject}.${namespace} = ${globalObject}.${namespace} || {})`;
+  /**
+   * @param {string} context
+   * @param {string} namespaceObject
+   * @return {string}
+   */
+  const getExportsExpression = (context, namespaceObject) =>
+    getAccessor(
+      `(function(${namespace}){%s\n;return ${namespace}[${JSON.stringify(
+        LIBRARY_EXPORTS_PROPERTY
+      )}];}).call(${context}, ${namespaceObject})`,
+      libraryExport ? [].concat(libraryExport) : []
+    );
+  const exportsExpression = getExportsExpression(
+    thisExpression,
+    namespaceExpression
+  );
+  const names = getLibraryNames(library, 'root');
+
+  switch (libraryTarget) {
+    case 'var':
+    case 'assign': {
+      const declaration = libraryTarget === 'var' ? 'var ' : '';
+      if (names.length === 1) {
+        return `${declaration}${names[0]} = ${exportsExpression};`;
+      }
+      return `${declaration}${names[0]} = ${names[0]} || {};${getAssignment(
+        names[0],
+        names.slice(1),
+        exportsExpression
+      )}`;
+    }
+    case 'this':
+    case 'window':
+    case 'self':
+    case 'global':
+      return getAssignment(
+        libraryTarget === 'global' ? globalObject : libraryTarget,
+        names,
+        exportsExpression
+      );
+    case 'commonjs':
+      return getAssignment(
+        'exports',
+        getLibraryNames(library, 'commonjs'),
+        exportsExpression
+      );
+    case 'commonjs2':
+      return `module.exports = ${exportsExpression};`;
+    default: {
+      const amdNames = getLibraryNames(library, 'amd');
+      const amdDefine = amdNames.length
+        ? `define(${JSON.stringify(amdNames.join('/'))}, [], factory)`
+        : 'define([], factory)';
+      return (
+        '(function(root, factory) {' +
+        "if (typeof exports === 'object' && typeof module === 'object') module.exports = factory();" +
+        `else if (typeof define === 'function' && define.amd) ${amdDefine};` +
+        `else if (typeof exports === 'object') ${getAssignment(
+          'exports',
+          getLibraryNames(library, 'commonjs'),
+          'factory()'
+        )}` +
+        `else ${getAssignment('root', names, 'factory()')}` +
+        // The factory runs in a function of its own, so the namespace object shared with
+        // the other chunks is found where the UMD wrapper runs
+        `})(${thisExpression}, (function(context, namespaceObject) { return function() { return ${getExportsExpression(
+          'context',
+          'namespaceObject'
+        )}; }; })(${thisExpression}, ${namespaceExpression}));`
+      );
+    }
+  }
+}
+
+/**
+ * Generated module which stores the exports of the entry module of a chunk on the
+ * namespace object. The names of ES module exports are quoted so that closure-compiler
+ * does not rename them. The properties of CommonJS exports cannot be listed, which is
+ * reported as a warning.
+ *
+ * @param {!Compilation} compilation
+ * @param {!Chunk} chunk
+ * @param {string} namespace
+ * @return {{path: string, src: string}}
+ */
+function getLibraryExportsSource(compilation, chunk, namespace) {
+  let { entryModule } = chunk;
+  if (entryModule.type === 'multi entry') {
+    // The exports of the last module are exposed, as webpack does
+    const { dependencies } = entryModule;
+    entryModule = getDependencyModule(
+      compilation,
+      dependencies[dependencies.length - 1]
+    );
+  }
+  const moduleId = JSON.stringify(`${getModuleId(compilation, entryModule)}`);
+  const exportsProperty = `${namespace}[${JSON.stringify(
+    LIBRARY_EXPORTS_PROPERTY
+  )}]`;
+  const { providedExports } = entryModule.buildMeta || {};
+  let src;
+  if (Array.isArray(providedExports)) {
+    const properties = providedExports.map(
+      (name) => `${JSON.stringify(name)}: entry.${name}`
+    );
+    src = `import * as entry from ${moduleId};\n${exportsProperty} = {${properties.join(
+      ', '
+    )}};\n`;
+  } else {
+    compilation.warnings.push(
+      new Error(
+        `closure-webpack-plugin: The library entry module ${entryModule.readableIdentifier(
+          compilation.requestShortener
+        )} is not an ES module. closure-compiler may rename the properties of its exports.`
+      )
+    );
+    src = `${exportsProperty} = __webpack_require__(${moduleId});\n`;
+  }
+  return {
+    path: path.resolve('.', `__webpack_library_exports_${chunk.id}__.js`),
+    src,
+  };
+}
+
+module.exports = {
+  SUPPORTED_LIBRARY_TARGETS,
+  getLibraryChunkWrapper,
+  getLibraryExportsSource,
+  isLibraryOutput,
+};
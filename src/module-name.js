@@ -1,6 +1,8 @@
+const { getModuleId } = require('./webpack-compat');
+
 let uniqueId = 1;
 
-function getWebpackModuleName(webpackModule) {
+function getWebpackModuleName(webpackModule, compilation) {
   if (webpackModule.userRequest) {
     return webpackModule.userRequest;
   }
@@ -9,12 +11,15 @@ function getWebpackModuleName(webpackModule) {
     return webpackModule.rootModule.userRequest;
   }
 
-  if (webpackModule.id) {
-    return `__missing_path_${webpackModule.id}__`;
+  const moduleId = webpackModule.module
+    ? null
+    : getModuleId(compilation, webpackModule);
+  if (moduleId) {
+    return `__missing_path_${moduleId}__`;
   }
 
   if (webpackModule.module) {
-    return getWebpackModuleName(webpackModule.module);
+    return getWebpackModuleName(webpackModule.module, compilation);
   }
 
   if (webpackModule.__wpccName) {
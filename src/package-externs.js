@@ -0,0 +1,122 @@
+/**
+ * @fileoverview
+ * Externs which npm packages ship for closure-compiler.
+ *
+ * A package declares its externs with an `externs` field in its package.json, either
+ * a single path or an array of paths relative to the package:
+ *
+ *   "externs": ["externs/library.js"]
+ *
+ * Packages of bundled modules are found from the nearest package.json of each module.
+ * Packages used as webpack externals are resolved from the webpack context.
+ */
+const fs = require('fs');
+const path = require('path');
+const ExternalModule = require('webpack/lib/ExternalModule');
+const { getModules } = require('./webpack-compat');
+
+/**
+ * @param {string} resource path of a module
+ * @param {!Map<string, ?{root: string, data: !Object}>} packagesByDirectory
+ * @return {?{root: string, data: !Object}}
+ */
+function findPackage(resource, packagesByDirectory) {
+  const directory = path.dirname(resource);
+  if (!packagesByDirectory.has(directory)) {
+    let packageInfo = null;
+    const packageJsonPath = path.join(directory, 'package.json');
+    if (fs.existsSync(packageJsonPath)) {
+      try {
+        packageInfo = {
+          root: directory,
+          data: JSON.parse(fs.readFileSync(packageJsonPath, 'utf8')),
+        };
+      } catch (e) {}
+    } else if (path.dirname(directory) !== directory) {
+      packageInfo = findPackage(directory, packagesByDirectory);
+    }
+    packagesByDirectory.set(directory, packageInfo);
+  }
+  return packagesByDirectory.get(directory);
+}
+
+/**
+ * @param {!ExternalModule} externalModule
+ * @param {string} context
+ * @return {?{root: string, data: !Object}}
+ */
+function resolveExternalPackage(externalModule, context) {
+  const match = /^((?:@[^/]+\/)?[^/.][^/]*)/.exec(
+    externalModule.userRequest || ''
+  );
+  if (!match) {
+    return null;
+  }
+  try {
+    const packageJsonPath = require.resolve(`${match[1]}/package.json`, {
+      paths: [context],
+    });
+    return {
+      root: path.dirname(packageJsonPath),
+      data: JSON.parse(fs.readFileSync(packageJsonPath, 'utf8')),
+    };
+  } catch (e) {
+    // The external is not installed, which is common for globals loaded from a CDN
+    return null;
+  }
+}
+
+/**
+ * @param {!Compilation} compilation
+ * @return {!Array<{path: string, src: string}>}
+ */
+module.exports = function getPackageExterns(compilation) {
+  const packages = new Map();
+  const packagesByDirectory = new Map();
+  const webpackModules = [].concat(
+    ...getModules(compilation).map((webpackModule) =>
+      webpackModule.modules ? webpackModule.modules : [webpackModule]
+    )
+  );
+  webpackModules.forEach((webpackModule) => {
+    let packageInfo = null;
+    if (webpackModule instanceof ExternalModule) {
+      packageInfo = resolveExternalPackage(
+        webpackModule,
+        compilation.compiler.context
+      );
+    } else if (typeof webpackModule.resource === 'string') {
+      packageInfo = findPackage(
+        webpackModule.resource.replace(/\?.*$/, ''),
+        packagesByDirectory
+      );
+    }
+    if (packageInfo && packageInfo.data.externs) {
+      packages.set(packageInfo.root, packageInfo.data);
+    }
+  });
+
+  const externs = [];
+  Array.from(packages.keys())
+    .sort()
+    .forEach((packageRoot) => {
+      const packageData = packages.get(packageRoot);
+      [].concat(packageData.externs).forEach((externsPath) => {
+        const filePath = path.resolve(packageRoot, externsPath);
+        try {
+          externs.push({
+            path: filePath,
+            src: fs.readFileSync(filePath, 'utf8'),
+          });
+        } catch (e) {
+          compilation.warnings.push(
+            new Error(
+              `closure-compiler-plugin: Unable to read the externs ${externsPath} declared by ${packageData.name ||
+                packageRoot}\n${e.message}`
+            )
+          );
+        }
+      });
+    });
+  return externs;
+};
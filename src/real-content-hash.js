@@ -0,0 +1,216 @@
+/**
+ * @fileoverview
+ * Rename the files compiled by closure-compiler after the hash of their final content.
+ *
+ * Webpack computes `[contenthash]` from the chunk before closure-compiler rewrites it.
+ * Each file name is updated with a hash of the compiled output instead, and the
+ * references to the old hash in the compiled files are replaced: the chunk path
+ * registrations and script source maps of the runtime contain the hashes of the chunks
+ * they load. Only whole hashes within string literals are references, so an identifier
+ * or number which happens to contain a short hash is left alone. Hashes keep their
+ * length, so source map offsets are not affected.
+ *
+ * Chunks are hashed after the chunks they reference, so a changed child chunk also
+ * changes the hash of its parent. References which form a cycle are hashed with the
+ * old value.
+ */
+const { RawSource, SourceMapSource } = require('webpack-sources');
+const createHash = require('webpack/lib/util/createHash');
+const {
+  getChunks,
+  parseJavaScript,
+  renameChunkFile,
+} = require('./webpack-compat');
+
+/** Characters which continue a hash, so a match next to them is part of a longer token */
+const HASH_CHAR = /[0-9A-Za-z]/;
+
+/**
+ * @param {string} text
+ * @return {string}
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * @param {!Object} node
+ * @param {function(!Object)} visit
+ */
+function walk(node, visit) {
+  visit(node);
+  Object.keys(node).forEach((key) => {
+    const children = Array.isArray(node[key]) ? node[key] : [node[key]];
+    children.forEach((child) => {
+      if (child && typeof child.type === 'string') {
+        walk(child, visit);
+      }
+    });
+  });
+}
+
+/**
+ * @param {string} code
+ * @return {!Array<!Array<number>>} start and end offsets of the string literals of the
+ *     code, or of the whole code when it cannot be parsed
+ */
+function getStringRanges(code) {
+  let ast;
+  try {
+    ast = parseJavaScript(code);
+  } catch (e) {
+    return [[0, code.length]];
+  }
+  const ranges = [];
+  walk(ast, (node) => {
+    if (
+      (node.type === 'Literal' && typeof node.value === 'string') ||
+      node.type === 'TemplateElement'
+    ) {
+      ranges.push([node.start, node.end]);
+    }
+  });
+  return ranges;
+}
+
+/**
+ * @param {string} text
+ * @param {!RegExp} hashPattern
+ * @param {!Array<!Array<number>>} ranges
+ * @return {!Array<{index: number, oldHash: string}>} the whole hashes within the ranges
+ */
+function findHashes(text, hashPattern, ranges) {
+  const found = [];
+  ranges.forEach(([start, end]) => {
+    text.slice(start, end).replace(hashPattern, (oldHash, offset) => {
+      const index = start + offset;
+      const before = text.charAt(index - 1);
+      const after = text.charAt(index + oldHash.length);
+      if (!HASH_CHAR.test(before) && !HASH_CHAR.test(after)) {
+        found.push({ index, oldHash });
+      }
+      return oldHash;
+    });
+  });
+  return found;
+}
+
+/**
+ * @param {!Compilation} compilation
+ * @param {!Map<!Chunk, {hash: ?string, files: !Array<string>}>} chunkAssets the compiled
+ *     files of each chunk and the old content hash as it appears in their names, null for
+ *     files which are named without a content hash
+ * @return {!Map<string, string>} new file names by old file name
+ */
+module.exports = function updateContentHashes(compilation, chunkAssets) {
+  const { hashFunction, hashDigest, hashSalt } = compilation.outputOptions;
+  const contents = new Map();
+  const entries = [];
+  chunkAssets.forEach(({ hash, files }) => {
+    const existingFiles = files.filter(
+      (file) =>
+        compilation.assets[file] && (hash === null || file.includes(hash))
+    );
+    if (existingFiles.length > 0) {
+      existingFiles.forEach((file) => {
+        contents.set(file, compilation.assets[file].source().toString());
+      });
+      entries.push({ oldHash: hash, newHash: hash, files: existingFiles });
+    }
+  });
+  const hashedEntries = entries.filter(({ oldHash }) => oldHash !== null);
+  if (hashedEntries.length === 0) {
+    return new Map();
+  }
+
+  const entriesByHash = new Map(
+    hashedEntries.map((entry) => [entry.oldHash, entry])
+  );
+  const hashPattern = new RegExp(
+    Array.from(entriesByHash.keys())
+      // Longer hashes first, in case a shorter hash is a prefix of one
+      .sort((a, b) => b.length - a.length)
+      .map(escapeRegExp)
+      .join('|'),
+    'g'
+  );
+  const references = new Map();
+  contents.forEach((code, file) => {
+    references.set(file, findHashes(code, hashPattern, getStringRanges(code)));
+  });
+  const replaceHashes = (text, found) => {
+    const chars = text.split('');
+    found.forEach(({ index, oldHash }) => {
+      const { newHash } = entriesByHash.get(oldHash);
+      chars.splice(index, oldHash.length, ...newHash.split(''));
+    });
+    return chars.join('');
+  };
+  const replaceFileHashes = (file) =>
+    replaceHashes(contents.get(file), references.get(file));
+
+  // Depth first, so that references are hashed before the chunks containing them
+  const visited = new Set();
+  const visit = (entry) => {
+    if (visited.has(entry)) {
+      return;
+    }
+    visited.add(entry);
+    entry.files.forEach((file) => {
+      references.get(file).forEach(({ oldHash }) => {
+        visit(entriesByHash.get(oldHash));
+      });
+    });
+
+    const hash = createHash(hashFunction);
+    if (hashSalt) {
+      hash.update(hashSalt);
+    }
+    entry.files
+      .slice()
+      .sort()
+      .forEach((file) => {
+        hash.update(replaceFileHashes(file));
+      });
+    entry.newHash = hash.digest(hashDigest).substr(0, entry.oldHash.length);
+  };
+  hashedEntries.forEach(visit);
+
+  const renamedFiles = new Map();
+  entries.forEach(({ oldHash, newHash, files }) => {
+    files.forEach((file) => {
+      const newFile =
+        oldHash === null ? file : file.split(oldHash).join(newHash);
+      const code = replaceFileHashes(file);
+      if (newFile === file && code === contents.get(file)) {
+        return;
+      }
+      const { map } = compilation.assets[file].sourceAndMap();
+      let newSource;
+      if (map) {
+        map.file = newFile;
+        map.sources = map.sources.map((source) =>
+          replaceHashes(
+            source,
+            findHashes(source, hashPattern, [[0, source.length]])
+          )
+        );
+        newSource = new SourceMapSource(code, newFile, map);
+      } else {
+        newSource = new RawSource(code);
+      }
+      delete compilation.assets[file];
+      compilation.assets[newFile] = newSource;
+      if (newFile !== file) {
+        renamedFiles.set(file, newFile);
+      }
+    });
+  });
+
+  getChunks(compilation).forEach((chunk) => {
+    renamedFiles.forEach((newFile, file) => {
+      renameChunkFile(chunk, file, newFile);
+    });
+  });
+  return renamedFiles;
+};
@@ -0,0 +1,114 @@
+/**
+ * @fileoverview
+ * Property and variable renaming maps kept between builds.
+ *
+ * Closure-compiler reports the names it chose when renaming. The reports are stored
+ * per compilation name, in closure-compiler's format of one `original:renamed` pair
+ * per line, and compared with the next build to find renamings which changed and so
+ * alter the content of chunks whose code did not.
+ *
+ * Closure-compiler releases from 2017 onward no longer accept the maps as input
+ * (`input_property_map`/`input_variable_map` were removed from the command line),
+ * so the stored maps are not passed back to the compiler.
+ */
+const fs = require('fs');
+const path = require('path');
+const ensureDir = require('./ensure-dir');
+
+const MAP_TYPES = [
+  { type: 'property', reportFlag: 'property_renaming_report' },
+  { type: 'variable', reportFlag: 'variable_renaming_report' },
+];
+
+/**
+ * @param {string} filePath
+ * @return {!Map<string, string>} renamed names by original name
+ */
+function readMap(filePath) {
+  const renamings = new Map();
+  let contents = '';
+  try {
+    contents = fs.readFileSync(filePath, 'utf8');
+  } catch (e) {
+    return renamings;
+  }
+  contents.split(/\r?\n/).forEach((line) => {
+    const separatorIndex = line.indexOf(':');
+    if (separatorIndex > 0) {
+      renamings.set(
+        line.slice(0, separatorIndex),
+        line.slice(separatorIndex + 1)
+      );
+    }
+  });
+  return renamings;
+}
+
+class RenamingMaps {
+  /**
+   * @param {string} directory
+   */
+  constructor(directory) {
+    this.directory = directory;
+  }
+
+  /**
+   * @param {string} name
+   * @param {string} type
+   * @return {string}
+   */
+  getMapPath(name, type) {
+    return path.join(
+      this.directory,
+      `${name.replace(/[^\w.-]+/g, '_')}.${type}-map.txt`
+    );
+  }
+
+  /**
+   * Compiler flags which write new renaming reports next to the stored maps.
+   *
+   * @param {string} name
+   * @return {!Object<string, string>}
+   */
+  getFlags(name) {
+    ensureDir(this.directory);
+    const flags = {};
+    MAP_TYPES.forEach(({ type, reportFlag }) => {
+      const reportPath = `${this.getMapPath(name, type)}.new`;
+      // A report left behind by a build which failed must never replace the map
+      try {
+        fs.unlinkSync(reportPath);
+      } catch (e) {}
+      flags[reportFlag] = reportPath;
+    });
+    return flags;
+  }
+
+  /**
+   * Replace the stored maps with the reports of a successful compilation.
+   * Results restored from the compilation cache produce no reports and leave the maps unchanged.
+   *
+   * @param {string} name
+   * @return {!Array<string>} stored renamings which were not kept, as `type original:renamed`
+   */
+  update(name) {
+    const dropped = [];
+    MAP_TYPES.forEach(({ type }) => {
+      const mapPath = this.getMapPath(name, type);
+      const reportPath = `${mapPath}.new`;
+      if (!fs.existsSync(reportPath)) {
+        return;
+      }
+      const renamings = readMap(reportPath);
+      readMap(mapPath).forEach((renamed, original) => {
+        if (renamings.get(original) !== renamed) {
+          dropped.push(`${type} ${original}:${renamed}`);
+        }
+      });
+      fs.renameSync(reportPath, mapPath);
+    });
+    return dropped;
+  }
+}
+
+module.exports = RenamingMaps;
@@ -0,0 +1,38 @@
+/* global __wpcc, __webpack_require__, _webpack_install_chunks_ */
+
+/**
+ * @fileoverview Chunk loading for the esModuleOutput option.
+ * Chunk files are ES modules which export the ids of their
+ * chunks and the chunk function. They are loaded with a dynamic
+ * import, relative to the module containing the runtime unless
+ * a public path is set.
+ *
+ * This file is restricted to ES5 syntax so that it does not
+ * require transpilation. The import() expression is part of the
+ * output wrapper, as closure-compiler cannot parse it.
+ */
+
+/**
+ * @param {string} chunkPath path of the chunk file relative to the public path
+ * @param {function()} onComplete called once the chunk has executed or failed to load
+ */
+function _webpack_load_chunk_file_(chunkPath, onComplete) {
+  var url = (__webpack_require__.p || '') + chunkPath;
+  // A path without a leading ./ would be resolved as a bare module specifier
+  if (!/^([a-z][a-z0-9+.-]*:|\/|\.\.?\/)/i.test(url)) {
+    url = './' + url;
+  }
+  __wpcc.im(url).then(
+    function(chunk) {
+      try {
+        _webpack_install_chunks_(chunk['ids'], chunk['modules']);
+      } catch (e) {
+        // The chunk promise is rejected by onComplete
+      }
+      onComplete();
+    },
+    function() {
+      onComplete();
+    }
+  );
+}
@@ -0,0 +1,24 @@
+/* global _WEBPACK_GLOBAL_THIS_, _WEBPACK_JSONP_FUNCTION_, _webpack_install_chunks_ */
+
+/**
+ * @fileoverview JSONP callback through which chunk files loaded by
+ * the `web` and `webworker` runtimes register themselves.
+ *
+ * This file is restricted to ES5 syntax so that it does not
+ * require transpilation.
+ */
+
+(function() {
+  /** @type {undefined|function(!Array<number>, function(Object))} */
+  var parentJsonpFunction = _WEBPACK_GLOBAL_THIS_[_WEBPACK_JSONP_FUNCTION_];
+  /**
+   * @param {!Array<number>} chunkIds
+   * @param {function(Object)} cb
+   */
+  _WEBPACK_GLOBAL_THIS_[_WEBPACK_JSONP_FUNCTION_] = function(chunkIds, cb) {
+    _webpack_install_chunks_(chunkIds, cb);
+    if (parentJsonpFunction) {
+      parentJsonpFunction(chunkIds, function() {});
+    }
+  };
+})();
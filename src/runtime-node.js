@@ -0,0 +1,32 @@
+/* eslint-env node */
+/* global _webpack_install_chunks_, _WEBPACK_OUTPUT_ROOT_ */
+
+/**
+ * @fileoverview Chunk loading for the webpack `node` target.
+ * Chunk files are CommonJS modules which export the ids of their
+ * chunks and the chunk function. They are loaded with require,
+ * relative to output.path, which is found from the directory of
+ * the file containing the runtime.
+ *
+ * This file is restricted to ES5 syntax so that it does not
+ * require transpilation.
+ */
+
+/**
+ * @param {string} chunkPath path of the chunk file relative to the output path. The query
+ *     string, which only busts browser caches, is ignored.
+ * @param {function()} onComplete called once the chunk has executed or failed to load
+ */
+function _webpack_load_chunk_file_(chunkPath, onComplete) {
+  try {
+    // eslint-disable-next-line global-require, import/no-dynamic-require, no-path-concat
+    var chunk = require(__dirname +
+      '/' +
+      _WEBPACK_OUTPUT_ROOT_ +
+      chunkPath.replace(/\?.*$/, ''));
+    _webpack_install_chunks_(chunk['ids'], chunk['modules']);
+  } catch (e) {
+    // The chunk promise is rejected by onComplete
+  }
+  onComplete();
+}
@@ -0,0 +1,85 @@
+/* eslint-env browser */
+/* global __wpcc, __webpack_require__, _WEBPACK_TIMEOUT_, _WEBPACK_CROSS_ORIGIN_LOADING_, _WEBPACK_MODULE_CACHE_, _WEBPACK_SOURCE_, _WEBPACK_INTEGRITY_, _webpack_script_url_ */
+
+/**
+ * @fileoverview Chunk loading for the webpack `web` target.
+ * Chunks are loaded by appending script tags to the document head,
+ * and prefetched or preloaded with link tags.
+ *
+ * This file is restricted to ES5 syntax so that it does not
+ * require transpilation.
+ */
+
+/**
+ * Set the attributes shared by the script and link tags which fetch a chunk.
+ *
+ * @param {!Element} element
+ * @param {string} url
+ * @param {string=} integrity subresource integrity of the chunk file
+ */
+function _webpack_set_fetch_attributes_(element, url, integrity) {
+  if (__wpcc.nc && __wpcc.nc.length > 0) {
+    element.setAttribute('nonce', __wpcc.nc);
+  }
+  if (
+    _WEBPACK_CROSS_ORIGIN_LOADING_ &&
+    url.indexOf(window.location.origin + '/') !== 0
+  ) {
+    element.setAttribute('crossorigin', _WEBPACK_CROSS_ORIGIN_LOADING_);
+  }
+  if (integrity) {
+    element.setAttribute('integrity', integrity);
+  }
+}
+
+/**
+ * @param {string} chunkPath path of the chunk file relative to the public path
+ * @param {function()} onComplete called once the chunk has executed or failed to load
+ * @param {string=} integrity subresource integrity of the chunk file
+ */
+function _webpack_load_chunk_file_(chunkPath, onComplete, integrity) {
+  var head = document.getElementsByTagName('head')[0]; // eslint-disable-line prefer-destructuring
+  var script = document.createElement('script');
+  script.type = 'text/javascript';
+  script.charset = 'utf-8';
+  script.async = true;
+  script.timeout = _WEBPACK_TIMEOUT_;
+
+  var src = (__webpack_require__.p || '') + chunkPath;
+  _webpack_set_fetch_attributes_(script, src, integrity);
+  script.src = _webpack_script_url_(src);
+  var timeout = setTimeout(onScriptComplete, _WEBPACK_TIMEOUT_);
+  script.onerror = script.onload = onScriptComplete;
+  function onScriptComplete() {
+    // avoid mem leaks in IE.
+    script.onerror = script.onload = null;
+    clearTimeout(timeout);
+    onComplete();
+  }
+  head.appendChild(script);
+}
+
+/**
+ * Prefetch or preload chunks which are not loaded yet
+ *
+ * @param {!Array<number>} chunkIds
+ * @param {string} rel `prefetch` or `preload`
+ */
+__webpack_require__.pl = function(chunkIds, rel) {
+  var head = document.getElementsByTagName('head')[0]; // eslint-disable-line prefer-destructuring
+  for (var i = 0; i < chunkIds.length; i++) {
+    var chunkId = chunkIds[i];
+    if (
+      typeof _WEBPACK_MODULE_CACHE_[chunkId] === 'undefined' &&
+      _WEBPACK_SOURCE_[chunkId]
+    ) {
+      var link = document.createElement('link');
+      var href = (__webpack_require__.p || '') + _WEBPACK_SOURCE_[chunkId];
+      _webpack_set_fetch_attributes_(link, href, _WEBPACK_INTEGRITY_[chunkId]);
+      link.rel = rel;
+      link.setAttribute('as', 'script');
+      link.href = href;
+      head.appendChild(link);
+    }
+  }
+};
@@ -0,0 +1,26 @@
+/* eslint-env worker */
+/* global __webpack_require__, _webpack_script_url_ */
+
+/**
+ * @fileoverview Chunk loading for the webpack `webworker` target.
+ * Web Workers and Service Workers have no document, so chunks
+ * are loaded synchronously with importScripts.
+ *
+ * This file is restricted to ES5 syntax so that it does not
+ * require transpilation.
+ */
+
+/**
+ * @param {string} chunkPath path of the chunk file relative to the public path
+ * @param {function()} onComplete called once the chunk has executed or failed to load
+ */
+function _webpack_load_chunk_file_(chunkPath, onComplete) {
+  try {
+    importScripts(
+      _webpack_script_url_((__webpack_require__.p || '') + chunkPath)
+    );
+  } catch (e) {
+    // The chunk promise is rejected by onComplete
+  }
+  onComplete();
+}
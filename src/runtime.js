@@ -1,9 +1,11 @@
-/* eslint-env browser */
-/* global __wpcc, _WEBPACK_SOURCE_, __webpack_require__, _WEBPACK_TIMEOUT_ */
+/* global __wpcc, _WEBPACK_SOURCE_, __webpack_require__, _WEBPACK_CHUNK_SUFFIX_, _WEBPACK_CHUNK_LOAD_RETRIES_, _WEBPACK_CHUNK_LOAD_RETRY_DELAY_, _WEBPACK_TRUSTED_TYPES_POLICY_, _webpack_load_chunk_file_ */
 
 /**
  * @fileoverview webpack bootstrap for Closure-compiler with
- * late-loaded chunk support.
+ * late-loaded chunk support. Chunk files are loaded by the
+ * `_webpack_load_chunk_file_` function of the runtime for the
+ * webpack target, which passes the loaded chunks to
+ * `_webpack_install_chunks_`.
  *
  * This file is restricted to ES5 syntax so that it does not
  * require transpilation. While it does use Promises, they
@@ -18,35 +20,66 @@ if (typeof _WEBPACK_MODULE_CACHE_ === 'undefined') {
   _WEBPACK_MODULE_CACHE_ = {};
 }
 
-// install a JSONP callback for chunk loading
-(function() {
-  /** @type {undefined|function(!Array<number>, function(Object))} */
-  var parentJsonpFunction = window['webpackJsonp'];
-  /**
-   * @param {!Array<number>} chunkIds
-   * @param {function(Object)} cb
-   */
-  window['webpackJsonp'] = function(chunkIds, cb) {
-    var i;
-    var resolves = [];
-
-    // Register all the new chunks as loaded and then resolve the promise
-    for (i = 0; i < chunkIds.length; i++) {
-      if (_WEBPACK_MODULE_CACHE_[chunkIds[i]]) {
-        resolves.push(_WEBPACK_MODULE_CACHE_[chunkIds[i]][0]);
-        _WEBPACK_MODULE_CACHE_[chunkIds[i]] = 0;
-      }
-    }
-    if (parentJsonpFunction) {
-      parentJsonpFunction(chunkIds, function() {});
+/**
+ * Subresource integrity of the chunk files
+ * @const
+ * @type {!Object<number, string>}
+ */
+var _WEBPACK_INTEGRITY_ = {};
+
+/** @type {?Object|undefined} */
+var _webpack_trusted_types_policy_;
+
+/**
+ * Create a script URL through the Trusted Types policy when one is configured and the
+ * environment supports Trusted Types.
+ *
+ * @param {string} url
+ * @return {?}
+ */
+function _webpack_script_url_(url) {
+  if (!_WEBPACK_TRUSTED_TYPES_POLICY_) {
+    return url;
+  }
+  if (typeof _webpack_trusted_types_policy_ === 'undefined') {
+    var trustedTypes = _WEBPACK_GLOBAL_THIS_['trustedTypes']; // eslint-disable-line prefer-destructuring
+    _webpack_trusted_types_policy_ = null;
+    if (trustedTypes && trustedTypes['createPolicy']) {
+      var policyOptions = {};
+      policyOptions['createScriptURL'] = function(scriptUrl) {
+        return scriptUrl;
+      };
+      _webpack_trusted_types_policy_ = trustedTypes['createPolicy'](
+        _WEBPACK_TRUSTED_TYPES_POLICY_,
+        policyOptions
+      );
     }
-    var executionCallback = cb;
-    while (resolves.length) {
-      resolves.shift()(cb);
-      executionCallback = undefined; // eslint-disable-line no-undefined
+  }
+  return _webpack_trusted_types_policy_
+    ? _webpack_trusted_types_policy_['createScriptURL'](url)
+    : url;
+}
+
+/**
+ * Register chunks as loaded and run them once the chunks loaded before them have run.
+ *
+ * @param {!Array<number>} chunkIds
+ * @param {function(Object)} cb
+ */
+function _webpack_install_chunks_(chunkIds, cb) {
+  var resolves = [];
+
+  // Register all the new chunks as loaded and then resolve the promise
+  for (var i = 0; i < chunkIds.length; i++) {
+    if (_WEBPACK_MODULE_CACHE_[chunkIds[i]]) {
+      resolves.push(_WEBPACK_MODULE_CACHE_[chunkIds[i]][0]);
+      _WEBPACK_MODULE_CACHE_[chunkIds[i]] = 0;
     }
-  };
-})();
+  }
+  while (resolves.length) {
+    resolves.shift()(cb);
+  }
+}
 
 /**
  * @param {number} chunkId
@@ -78,32 +111,37 @@ function _webpack_load_chunk_(chunkId, basePromise) {
   installedChunkData[2] = promise;
 
   // start chunk loading
-  var head = document.getElementsByTagName('head')[0]; // eslint-disable-line prefer-destructuring
-  var script = document.createElement('script');
-  script.type = 'text/javascript';
-  script.charset = 'utf-8';
-  script.async = true;
-  script.timeout = _WEBPACK_TIMEOUT_;
-
-  if (__wpcc.nc && __wpcc.nc.length > 0) {
-    script.setAttribute('nonce', __wpcc.nc);
-  }
-  script.src = (__webpack_require__.p || '') + _WEBPACK_SOURCE_[chunkId];
-  var timeout = setTimeout(onScriptComplete, _WEBPACK_TIMEOUT_);
-  script.onerror = script.onload = onScriptComplete;
-  function onScriptComplete() {
-    // avoid mem leaks in IE.
-    script.onerror = script.onload = null;
-    clearTimeout(timeout);
-    var chunk = _WEBPACK_MODULE_CACHE_[chunkId];
-    if (chunk !== 0) {
-      if (chunk) {
-        chunk[1](new Error('Loading chunk ' + chunkId + ' failed.'));
-      }
-      _WEBPACK_MODULE_CACHE_[chunkId] = undefined; // eslint-disable-line no-undefined
+  var attempt = 0;
+  var retryDelay = _WEBPACK_CHUNK_LOAD_RETRY_DELAY_;
+  var loadChunkFile = function() {
+    var chunkPath = _WEBPACK_SOURCE_[chunkId];
+    if (attempt > 0) {
+      // bypass a failed response cached by the browser
+      chunkPath +=
+        (chunkPath.indexOf('?') < 0 ? '?' : '&') + 'chunk-retry=' + attempt;
     }
-  }
-  head.appendChild(script);
+    _webpack_load_chunk_file_(
+      chunkPath,
+      function() {
+        var chunk = _WEBPACK_MODULE_CACHE_[chunkId];
+        if (chunk === 0) {
+          return;
+        }
+        if (chunk && attempt < _WEBPACK_CHUNK_LOAD_RETRIES_) {
+          attempt += 1;
+          setTimeout(loadChunkFile, retryDelay);
+          retryDelay *= 2;
+          return;
+        }
+        if (chunk) {
+          chunk[1](new Error('Loading chunk ' + chunkId + ' failed.'));
+        }
+        _WEBPACK_MODULE_CACHE_[chunkId] = undefined; // eslint-disable-line no-undefined
+      },
+      _WEBPACK_INTEGRITY_[chunkId]
+    );
+  };
+  loadChunkFile();
   return promise;
 }
 
@@ -135,7 +173,17 @@ __webpack_require__.oe = function(err) {
  * Register new child chunk paths
  * @param {string} childChunkId
  * @param {string} childChunkPath
+ * @param {string=} integrity subresource integrity of the chunk file, blank when unknown
  */
-__webpack_require__.rs = function(childChunkId, childChunkPath) {
+__webpack_require__.rs = function(childChunkId, childChunkPath, integrity) {
+  if (_WEBPACK_CHUNK_SUFFIX_) {
+    childChunkPath = childChunkPath.replace(
+      /\.js(\?|$)/,
+      _WEBPACK_CHUNK_SUFFIX_ + '.js$1'
+    );
+  }
   _WEBPACK_SOURCE_[childChunkId] = childChunkPath;
+  if (integrity && /\S/.test(integrity)) {
+    _WEBPACK_INTEGRITY_[childChunkId] = integrity;
+  }
 };
@@ -0,0 +1,209 @@
+/**
+ * @fileoverview
+ * Sizes of the chunks compiled by closure-compiler.
+ *
+ * For each output file the report lists the size of the sources given to closure-compiler,
+ * the size of the output, its gzip and brotli compressed sizes and how many bytes of the
+ * output the source map attributes to each original module. Bytes which are not mapped
+ * to any source, such as output wrappers, are listed with a null source.
+ */
+const zlib = require('zlib');
+
+const BASE64_CHARS =
+  'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+/* eslint-disable no-bitwise */
+/**
+ * Decode the base64 VLQ fields of a single source map segment.
+ *
+ * @param {string} segment
+ * @return {!Array<number>}
+ */
+function decodeSegment(segment) {
+  const values = [];
+  let value = 0;
+  let shift = 0;
+  for (let i = 0; i < segment.length; i++) {
+    const digit = BASE64_CHARS.indexOf(segment[i]);
+    value += (digit & 31) << shift;
+    if (digit & 32) {
+      shift += 5;
+    } else {
+      values.push(value & 1 ? -(value >>> 1) : value >>> 1);
+      value = 0;
+      shift = 0;
+    }
+  }
+  return values;
+}
+/* eslint-enable no-bitwise */
+
+/**
+ * Count the bytes of generated code attributed to each source of a source map.
+ *
+ * @param {string} code
+ * @param {?{sources: !Array<string>, mappings: string}} map
+ * @return {!Map<?string, number>} bytes by source, null for unmapped code
+ */
+function getSourceSizes(code, map) {
+  const sizes = new Map();
+  const addBytes = (source, text) => {
+    if (text.length > 0) {
+      sizes.set(source, (sizes.get(source) || 0) + Buffer.byteLength(text));
+    }
+  };
+  const mappingLines = map && map.mappings ? map.mappings.split(';') : [];
+  // Source indexes are relative to the previous segment of the whole map
+  let sourceIndex = 0;
+  code.split('\n').forEach((line, lineIndex) => {
+    if (lineIndex > 0) {
+      addBytes(null, '\n');
+    }
+    let source = null;
+    let column = 0;
+    let generatedColumn = 0;
+    (mappingLines[lineIndex] || '').split(',').forEach((segment) => {
+      if (segment.length === 0) {
+        return;
+      }
+      const fields = decodeSegment(segment);
+      generatedColumn += fields[0];
+      addBytes(source, line.slice(column, generatedColumn));
+      column = generatedColumn;
+      if (fields.length > 1) {
+        sourceIndex += fields[1];
+        source = map.sources[sourceIndex];
+      } else {
+        source = null;
+      }
+    });
+    addBytes(source, line.slice(column));
+  });
+  return sizes;
+}
+
+/**
+ * @param {string} text
+ * @return {string}
+ */
+function escapeHtml(text) {
+  return String(text).replace(
+    /[&<>"']/g,
+    (char) =>
+      ({
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&#39;',
+      }[char])
+  );
+}
+
+class SizeReport {
+  constructor() {
+    /**
+     * @type {!Array<{
+     *   chunk: (string|number),
+     *   file: string,
+     *   inputSize: number,
+     *   outputSize: number,
+     *   gzipSize: number,
+     *   brotliSize: ?number,
+     *   modules: !Array<{source: ?string, size: number}>
+     * }>}
+     */
+    this.chunks = [];
+  }
+
+  /**
+   * @param {{
+   *   chunk: (string|number),
+   *   file: string,
+   *   inputSize: number,
+   *   source: string,
+   *   map: ?Object
+   * }} output
+   * @param {function(string):string} getModuleName display name of a source map source
+   */
+  addChunk({ chunk, file, inputSize, source, map }, getModuleName) {
+    const buffer = Buffer.from(source, 'utf8');
+    const modules = new Map();
+    getSourceSizes(source, map).forEach((size, sourcePath) => {
+      const name = sourcePath === null ? null : getModuleName(sourcePath);
+      modules.set(name, (modules.get(name) || 0) + size);
+    });
+    this.chunks.push({
+      chunk,
+      file,
+      inputSize,
+      outputSize: buffer.length,
+      gzipSize: zlib.gzipSync(buffer, { level: 9 }).length,
+      // Brotli is not available in older versions of Node
+      brotliSize: zlib.brotliCompressSync
+        ? zlib.brotliCompressSync(buffer).length
+        : null,
+      modules: Array.from(modules, ([name, size]) => {
+        return { source: name, size };
+      }).sort((a, b) => b.size - a.size),
+    });
+  }
+
+  toJSON() {
+    return {
+      chunks: this.chunks
+        .slice()
+        .sort((a, b) => (a.file < b.file ? -1 : Number(a.file > b.file))),
+    };
+  }
+
+  /**
+   * @return {string}
+   */
+  toHtml() {
+    const sections = this.toJSON().chunks.map((chunk) => {
+      const rows = chunk.modules.map((module) => {
+        const percent = chunk.outputSize
+          ? ((module.size / chunk.outputSize) * 100).toFixed(1)
+          : '0.0';
+        return `<tr><td>${escapeHtml(
+          module.source === null ? '(unmapped)' : module.source
+        )}</td><td>${
+          module.size
+        }</td><td><span class="bar" style="width:${percent}%"></span>${percent}%</td></tr>`;
+      });
+      return `<h2>${escapeHtml(chunk.file)}</h2>
+<p>Chunk ${escapeHtml(chunk.chunk)}: input ${chunk.inputSize} bytes, output ${
+        chunk.outputSize
+      } bytes, gzip ${chunk.gzipSize} bytes${
+        chunk.brotliSize === null ? '' : `, brotli ${chunk.brotliSize} bytes`
+      }</p>
+<table><tr><th>Module</th><th>Bytes</th><th>Output</th></tr>
+${rows.join('\n')}
+</table>`;
+    });
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>closure-compiler size report</title>
+<style>
+body { font-family: sans-serif; }
+table { border-collapse: collapse; }
+td, th { padding: 2px 8px; text-align: left; }
+.bar { display: inline-block; height: 0.8em; margin-right: 4px; background: #4285f4; }
+</style>
+</head>
+<body>
+<h1>closure-compiler size report</h1>
+${sections.join('\n')}
+</body>
+</html>
+`;
+  }
+}
+
+SizeReport.decodeSegment = decodeSegment;
+SizeReport.getSourceSizes = getSourceSizes;
+
+module.exports = SizeReport;
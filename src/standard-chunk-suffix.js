@@ -0,0 +1,9 @@
+/**
+ * @fileoverview Suffix of the chunk files loaded by the webpack runtime.
+ *
+ * Added to STANDARD mode compilations when the outputLanguages option is used
+ * so that each output language loads the chunks compiled for the same language.
+ */
+
+/** @define {string} */
+var _WEBPACK_CHUNK_SUFFIX_ = '';
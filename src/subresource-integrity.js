@@ -0,0 +1,114 @@
+/**
+ * @fileoverview
+ * Subresource integrity of the files emitted for each chunk, stored as the `integrity`
+ * property of the asset info.
+ *
+ * Integrity values are computed from the final output: after closure-compiler has run,
+ * the content hashes in file names are updated and source map comments are appended. In AGGRESSIVE_BUNDLE mode, the chunk path
+ * registrations contain a placeholder for the integrity of each child chunk, which is
+ * replaced with the integrity of the child chunk file in the same output language.
+ * Placeholders have the length of a sha384 integrity value, so source map offsets are not
+ * affected.
+ *
+ * Child chunks are hashed before the chunks registering them. Placeholders which form a
+ * cycle or reference a chunk without a compiled file are blanked, and the chunk is then
+ * loaded without an integrity check.
+ */
+const crypto = require('crypto');
+const { RawSource, SourceMapSource } = require('webpack-sources');
+const { getChunkFiles, getChunks, setAssetInfo } = require('./webpack-compat');
+
+/** Length of `sha384-` followed by the base64 digest */
+const INTEGRITY_LENGTH = 71;
+
+const PLACEHOLDER_PREFIX = 'sha384-__webpack_integrity_';
+
+/**
+ * @param {number} index
+ * @return {string} placeholder for the integrity of the chunk at index
+ */
+function getIntegrityPlaceholder(index) {
+  const placeholder = `${PLACEHOLDER_PREFIX}${index}__`;
+  return placeholder + '_'.repeat(INTEGRITY_LENGTH - placeholder.length);
+}
+
+/**
+ * @param {(string|!Buffer)} content
+ * @return {string}
+ */
+function computeIntegrity(content) {
+  return `sha384-${crypto
+    .createHash('sha384')
+    .update(content)
+    .digest('base64')}`;
+}
+
+/**
+ * @param {!Compilation} compilation
+ * @param {!Array<!Chunk>} placeholderChunks chunk of each placeholder index
+ * @param {!Map<string, {chunk: !Chunk, suffix: string}>} compiledAssets compiled files
+ *     with their chunk and the suffix of their output language
+ */
+function addIntegrity(compilation, placeholderChunks, compiledAssets) {
+  const placeholderPattern = new RegExp(`${PLACEHOLDER_PREFIX}(\\d+)__+`, 'g');
+  const compiledFiles = new Map();
+  compiledAssets.forEach(({ chunk, suffix }, file) => {
+    if (!compilation.assets[file]) {
+      return;
+    }
+    if (!compiledFiles.has(chunk)) {
+      compiledFiles.set(chunk, new Map());
+    }
+    compiledFiles.get(chunk).set(suffix, file);
+  });
+
+  // Integrity by file name, or null while the file is being visited
+  const integrities = new Map();
+  const visit = (file) => {
+    if (integrities.has(file)) {
+      return integrities.get(file);
+    }
+    integrities.set(file, null);
+    const { suffix } = compiledAssets.get(file);
+    const content = compilation.assets[file].source().toString();
+    const code = content.replace(placeholderPattern, (placeholder, index) => {
+      const childChunk = placeholderChunks[parseInt(index, 10)];
+      const childFiles = childChunk && compiledFiles.get(childChunk);
+      const childFile = childFiles && childFiles.get(suffix);
+      return (childFile && visit(childFile)) || ' '.repeat(placeholder.length);
+    });
+    if (code !== content) {
+      const { map } = compilation.assets[file].sourceAndMap();
+      compilation.assets[file] = map
+        ? new SourceMapSource(code, file, map)
+        : new RawSource(code);
+    }
+    const integrity = computeIntegrity(code);
+    integrities.set(file, integrity);
+    return integrity;
+  };
+  compiledAssets.forEach((compiledAsset, file) => {
+    if (compilation.assets[file]) {
+      visit(file);
+    }
+  });
+
+  getChunks(compilation).forEach((chunk) => {
+    getChunkFiles(chunk).forEach((file) => {
+      const asset = compilation.assets[file];
+      if (!asset || !/\.js(\?|$)/.test(file)) {
+        return;
+      }
+      setAssetInfo(compilation, file, {
+        integrity: integrities.has(file)
+          ? integrities.get(file)
+          : computeIntegrity(asset.source()),
+      });
+    });
+  });
+}
+
+module.exports = {
+  addIntegrity,
+  getIntegrityPlaceholder,
+};
@@ -0,0 +1,122 @@
+/**
+ * @fileoverview
+ * A checked-in record of known closure-compiler warnings.
+ *
+ * Warnings are normalized to their key, the path of the originating file and the
+ * description with line numbers removed so that unrelated edits do not invalidate
+ * the baseline. The file is a JSON array of entries sorted for stable diffs:
+ *
+ *   [{"key": "JSC_TYPE_MISMATCH", "source": "src/app.js", "description": "...", "count": 2}]
+ */
+const fs = require('fs');
+
+/**
+ * @typedef {{
+ *   key: (string|undefined),
+ *   source: (string|undefined),
+ *   description: string
+ * }}
+ */
+var BaselineEntry;
+
+class WarningsBaseline {
+  /**
+   * @param {string} filePath
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  /**
+   * @return {boolean}
+   */
+  exists() {
+    return fs.existsSync(this.filePath);
+  }
+
+  /**
+   * Read the baseline as a map of entry ids to the number of occurrences.
+   *
+   * @return {!Map<string, number>}
+   */
+  read() {
+    const counts = new Map();
+    JSON.parse(fs.readFileSync(this.filePath, 'utf8')).forEach((entry) => {
+      const id = WarningsBaseline.getEntryId(entry);
+      counts.set(id, (counts.get(id) || 0) + (entry.count || 1));
+    });
+    return counts;
+  }
+
+  /**
+   * @param {!Array<!BaselineEntry>} entries
+   */
+  write(entries) {
+    const counts = new Map();
+    entries.forEach((entry) => {
+      const id = WarningsBaseline.getEntryId(entry);
+      counts.set(id, (counts.get(id) || 0) + 1);
+    });
+    const baseline = Array.from(counts.keys())
+      .sort()
+      .map((id) => {
+        const entry = WarningsBaseline.fromEntryId(id);
+        if (counts.get(id) > 1) {
+          entry.count = counts.get(id);
+        }
+        return entry;
+      });
+    fs.writeFileSync(
+      this.filePath,
+      `${JSON.stringify(baseline, null, 2)}\n`,
+      'utf8'
+    );
+  }
+}
+
+/**
+ * @param {!Object} diagnostic closure-compiler JSON diagnostic
+ * @param {string|undefined} sourcePath path relative to the webpack context
+ * @return {!BaselineEntry}
+ */
+WarningsBaseline.normalize = function normalize(diagnostic, sourcePath) {
+  return {
+    key: diagnostic.key,
+    source: sourcePath,
+    description: diagnostic.description
+      .trim()
+      .replace(/\b(line|column)\s+\d+/gi, '$1 N')
+      .replace(/:\d+(:\d+)?\b/g, ''),
+  };
+};
+
+/**
+ * @param {!BaselineEntry} entry
+ * @return {string}
+ */
+WarningsBaseline.getEntryId = function getEntryId(entry) {
+  return JSON.stringify([
+    entry.source || '',
+    entry.key || '',
+    entry.description,
+  ]);
+};
+
+/**
+ * @param {string} id
+ * @return {!BaselineEntry}
+ */
+WarningsBaseline.fromEntryId = function fromEntryId(id) {
+  const [source, key, description] = JSON.parse(id);
+  const entry = {};
+  if (key) {
+    entry.key = key;
+  }
+  if (source) {
+    entry.source = source;
+  }
+  entry.description = description;
+  return entry;
+};
+
+module.exports = WarningsBaseline;
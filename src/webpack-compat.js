@@ -0,0 +1,217 @@
+/**
+ * @fileoverview
+ * Differences between the webpack 4 and webpack 5 APIs used by the plugin.
+ *
+ * Webpack 5 moved the relations between chunks and modules to the ChunkGraph, changed
+ * `compilation.modules`, `compilation.chunks` and `chunk.files` from arrays to sets and
+ * replaced the optimizeChunkAssets hook with processAssets. Each helper uses the
+ * webpack 5 API when the compilation provides it and the webpack 4 API otherwise.
+ */
+const webpackVersion = require('webpack/package.json').version;
+
+const WEBPACK_MAJOR_VERSION = parseInt(webpackVersion, 10);
+
+/**
+ * @param {!Compilation} compilation
+ * @return {boolean}
+ */
+function hasChunkGraph(compilation) {
+  return Boolean(compilation && compilation.chunkGraph);
+}
+
+/**
+ * @param {!Compilation} compilation
+ * @return {!Array<!Module>}
+ */
+function getModules(compilation) {
+  return Array.from(compilation.modules);
+}
+
+/**
+ * @param {!Compilation} compilation
+ * @return {!Array<!Chunk>}
+ */
+function getChunks(compilation) {
+  return Array.from(compilation.chunks);
+}
+
+/**
+ * @param {?Compilation} compilation
+ * @param {!Module} webpackModule
+ * @return {(string|number|null)}
+ */
+function getModuleId(compilation, webpackModule) {
+  if (hasChunkGraph(compilation)) {
+    return compilation.chunkGraph.getModuleId(webpackModule);
+  }
+  if (WEBPACK_MAJOR_VERSION >= 5) {
+    // Module.id throws when the module is not part of a sealed compilation
+    return null;
+  }
+  return webpackModule.id;
+}
+
+/**
+ * @param {!Compilation} compilation
+ * @param {!Dependency} dependency
+ * @return {?Module} the module the dependency resolved to
+ */
+function getDependencyModule(compilation, dependency) {
+  if (compilation.moduleGraph) {
+    return compilation.moduleGraph.getModule(dependency);
+  }
+  return dependency.module;
+}
+
+/**
+ * Parse JavaScript with the same parser options webpack uses for modules.
+ *
+ * @param {string} code
+ * @return {!Object} ESTree program
+ */
+function parseJavaScript(code) {
+  /* eslint-disable global-require */
+  if (WEBPACK_MAJOR_VERSION >= 5) {
+    // eslint-disable-next-line import/no-unresolved
+    return require('webpack/lib/javascript/JavascriptParser')._parse(code, {
+      sourceType: 'auto',
+    });
+  }
+  return require('webpack/lib/Parser').parse(code, { sourceType: 'auto' });
+  /* eslint-enable global-require */
+}
+
+/**
+ * @param {!Compilation} compilation
+ * @param {!Chunk} chunk
+ * @return {!Array<!Module>}
+ */
+function getChunkModules(compilation, chunk) {
+  if (hasChunkGraph(compilation)) {
+    return compilation.chunkGraph.getChunkModules(chunk);
+  }
+  return chunk.getModules();
+}
+
+/**
+ * @param {!Compilation} compilation
+ * @param {!Chunk} chunk
+ * @return {boolean}
+ */
+function chunkHasEntryModule(compilation, chunk) {
+  if (hasChunkGraph(compilation)) {
+    return compilation.chunkGraph.getNumberOfEntryModules(chunk) > 0;
+  }
+  return chunk.hasEntryModule();
+}
+
+/**
+ * Whether webpack names the chunk with `output.filename` rather than `output.chunkFilename`.
+ * Webpack 4 uses the filename for chunks containing the runtime, which excludes entry
+ * chunks split off by `optimization.runtimeChunk`. Webpack 5 uses it for initial chunks.
+ *
+ * @param {!Chunk} chunk
+ * @return {boolean}
+ */
+function chunkUsesEntryFilename(chunk) {
+  if (WEBPACK_MAJOR_VERSION >= 5) {
+    return chunk.canBeInitial();
+  }
+  return chunk.hasRuntime();
+}
+
+/**
+ * @param {!Chunk} chunk
+ * @return {!Array<string>}
+ */
+function getChunkFiles(chunk) {
+  return Array.from(chunk.files);
+}
+
+/**
+ * @param {!Chunk} chunk
+ * @param {string} file
+ */
+function addChunkFile(chunk, file) {
+  if (chunk.files instanceof Set) {
+    chunk.files.add(file);
+  } else if (!chunk.files.includes(file)) {
+    chunk.files.push(file);
+  }
+}
+
+/**
+ * @param {!Chunk} chunk
+ * @param {string} oldFile
+ * @param {string} newFile
+ */
+function renameChunkFile(chunk, oldFile, newFile) {
+  if (chunk.files instanceof Set) {
+    if (chunk.files.delete(oldFile)) {
+      chunk.files.add(newFile);
+    }
+    return;
+  }
+  const index = chunk.files.indexOf(oldFile);
+  if (index >= 0) {
+    chunk.files[index] = newFile;
+  }
+}
+
+/**
+ * Merge properties into the info of an asset, which stats report for each asset.
+ * Webpack 4 releases before 4.40 do not keep asset info.
+ *
+ * @param {!Compilation} compilation
+ * @param {string} file
+ * @param {!Object} info
+ */
+function setAssetInfo(compilation, file, info) {
+  if (compilation.assetsInfo) {
+    compilation.assetsInfo.set(
+      file,
+      Object.assign({}, compilation.assetsInfo.get(file), info)
+    );
+  }
+}
+
+/**
+ * Tap the hook where minimizers rewrite the chunk assets: optimizeChunkAssets in webpack 4
+ * and the optimize size stage of processAssets in webpack 5.
+ *
+ * @param {!Compilation} compilation
+ * @param {{name: string}} plugin
+ * @param {function(!Array<!Chunk>, function())} callback
+ */
+function tapOptimizeChunkAssets(compilation, plugin, callback) {
+  if (compilation.hooks.processAssets) {
+    // eslint-disable-next-line global-require
+    const Compilation = require('webpack/lib/Compilation');
+    compilation.hooks.processAssets.tapAsync(
+      {
+        name: plugin.name,
+        stage: Compilation.PROCESS_ASSETS_STAGE_OPTIMIZE_SIZE,
+      },
+      (assets, cb) => callback(getChunks(compilation), () => cb())
+    );
+    return;
+  }
+  compilation.hooks.optimizeChunkAssets.tapAsync(plugin, callback);
+}
+
+module.exports = {
+  WEBPACK_MAJOR_VERSION,
+  addChunkFile,
+  chunkHasEntryModule,
+  chunkUsesEntryFilename,
+  getChunkFiles,
+  getChunkModules,
+  getChunks,
+  getDependencyModule,
+  getModuleId,
+  getModules,
+  parseJavaScript,
+  renameChunkFile,
+  setAssetInfo,
+  tapOptimizeChunkAssets,
+};
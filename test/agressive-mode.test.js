@@ -1,5 +1,346 @@
+import { execFileSync } from 'child_process';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import ClosureCompilerPlugin from '../src/closure-compiler-plugin';
+import compile, {
+  getDiagnostics,
+  readAsset,
+  webpackMajorVersion,
+} from './helpers/compiler';
+import loadInBrowser from './helpers/browser';
+
+const describeWebpack4 = webpackMajorVersion < 5 ? describe : describe.skip;
+
 describe('Closure: Agressive Mode', () => {
-  test('should result in the meaning of life', () => {
-    expect(22 + 20).toBe(42);
+  if (webpackMajorVersion >= 5) {
+    test('should not be supported with webpack 5', () => {
+      expect(() =>
+        compile('esm', {
+          minimizer: new ClosureCompilerPlugin({ mode: 'AGGRESSIVE_BUNDLE' }),
+        })
+      ).toThrow('AGGRESSIVE_BUNDLE mode is not supported with webpack 5');
+    });
+  }
+
+  test('should reject the test, include and exclude options', () => {
+    ['test', 'include', 'exclude'].forEach((option) => {
+      expect(
+        () =>
+          new ClosureCompilerPlugin({
+            mode: 'AGGRESSIVE_BUNDLE',
+            [option]: /\.js$/,
+          })
+      ).toThrow(
+        'closure-webpack-plugin: the test, include and exclude options are only supported in STANDARD mode'
+      );
+    });
+  });
+
+  test('should only accept an identifier as the JSONP function', () => {
+    expect(
+      () =>
+        new ClosureCompilerPlugin({
+          mode: 'AGGRESSIVE_BUNDLE',
+          jsonpFunction: "app'Jsonp",
+        })
+    ).toThrow('options.jsonpFunction should match pattern');
+  });
+
+  describeWebpack4('with webpack 4', () => {
+    test('should report an output.jsonpFunction which is not an identifier', () =>
+      compile('esm', {
+        output: { jsonpFunction: 'app-jsonp' },
+        minimizer: new ClosureCompilerPlugin({ mode: 'AGGRESSIVE_BUNDLE' }),
+      }).then((stats) => {
+        expect(stats.compilation.errors.map((error) => error.message)).toEqual([
+          'closure-compiler-plugin: The JSONP function "app-jsonp" of AGGRESSIVE_BUNDLE mode must be a JavaScript identifier. Set the jsonpFunction option.',
+        ]);
+      }));
+
+    test('should compile ES modules', () =>
+      compile('esm', {
+        minimizer: new ClosureCompilerPlugin({ mode: 'AGGRESSIVE_BUNDLE' }),
+      }).then((stats) => {
+        expect(getDiagnostics(stats)).toEqual([]);
+        const page = loadInBrowser(stats, ['main.js']);
+        expect(page.logs).toEqual(['b export named export exportA exportB']);
+        expect(page.sandbox.__wpcc).toBeDefined();
+      }));
+
+    test('should compile CommonJS modules', () =>
+      compile('cjs', {
+        minimizer: new ClosureCompilerPlugin({ mode: 'AGGRESSIVE_BUNDLE' }),
+      }).then((stats) => {
+        expect(getDiagnostics(stats)).toEqual([]);
+        const page = loadInBrowser(stats, ['main.js']);
+        expect(page.logs).toEqual(['b export exportA exportB']);
+      }));
+
+    test('should compile late loaded chunks', () =>
+      compile('lazy', {
+        minimizer: new ClosureCompilerPlugin({ mode: 'AGGRESSIVE_BUNDLE' }),
+      }).then((stats) => {
+        expect(getDiagnostics(stats)).toEqual([]);
+        const page = loadInBrowser(stats, ['main.js']);
+        return page.waitForLogs(1).then((logs) => {
+          expect(logs).toEqual(['b export named export']);
+          expect(page.scripts).toHaveLength(1);
+        });
+      }));
+
+    test('should emit the runtime once with a single runtime chunk', () =>
+      compile('runtime-chunk', {
+        entry: { a: './runtime-chunk/a', b: './runtime-chunk/b' },
+        optimization: { runtimeChunk: 'single' },
+        minimizer: new ClosureCompilerPlugin({ mode: 'AGGRESSIVE_BUNDLE' }),
+      }).then((stats) => {
+        expect(getDiagnostics(stats)).toEqual([]);
+        const files = Object.keys(stats.compilation.assets).filter((file) =>
+          /\.js$/.test(file)
+        );
+        expect(files).toEqual(
+          expect.arrayContaining(['runtime.js', 'a.chunk.js', 'b.chunk.js'])
+        );
+        // Only the runtime defines the JSONP callback of late loaded chunks
+        expect(
+          files.filter((file) => /\.webpackJsonp=/.test(readAsset(stats, file)))
+        ).toEqual(['runtime.js']);
+        const page = loadInBrowser(stats, [
+          'runtime.js',
+          'a.chunk.js',
+          'b.chunk.js',
+        ]);
+        return page.waitForLogs(3).then((logs) => {
+          expect(logs).toEqual(['a', 'b', 'lazy']);
+          expect(page.scripts).toHaveLength(1);
+        });
+      }));
+
+    test('should emit a runtime chunk per entry with multiple runtime chunks', () =>
+      compile('runtime-chunk', {
+        entry: { a: './runtime-chunk/a' },
+        optimization: { runtimeChunk: 'multiple' },
+        minimizer: new ClosureCompilerPlugin({ mode: 'AGGRESSIVE_BUNDLE' }),
+      }).then((stats) => {
+        expect(getDiagnostics(stats)).toEqual([]);
+        expect(readAsset(stats, 'a.chunk.js')).not.toContain('webpackJsonp');
+        const page = loadInBrowser(stats, ['runtime~a.js', 'a.chunk.js']);
+        return page.waitForLogs(2).then((logs) => {
+          expect(logs).toEqual(['a', 'lazy']);
+        });
+      }));
+
+    test('should prefetch and preload chunks once their parent chunk loaded', () =>
+      compile('resource-hints', {
+        minimizer: new ClosureCompilerPlugin({ mode: 'AGGRESSIVE_BUNDLE' }),
+      }).then((stats) => {
+        expect(getDiagnostics(stats)).toEqual([]);
+        const page = loadInBrowser(stats, ['main.js']);
+        expect(page.links).toEqual([]);
+        // The nonce set by __webpack_nonce__, before the lazy chunk loads
+        page.sandbox.__wpcc.nc = 'nonce';
+        return page.waitForLogs(2).then((logs) => {
+          expect(logs).toEqual(['lazy', 'prefetched']);
+          expect(
+            page.links.map((link) => [link.rel, link.href, link.attributes])
+          ).toEqual([
+            ['prefetch', '3.chunk.js', { as: 'script', nonce: 'nonce' }],
+            ['preload', '4.chunk.js', { as: 'script', nonce: 'nonce' }],
+          ]);
+          expect(page.scripts.map((script) => script.src)).toEqual([
+            '2.chunk.js',
+            '3.chunk.js',
+          ]);
+        });
+      }));
+
+    test('should load bundles with their own namespace and JSONP function on one page', () => {
+      const buildApp = (name) =>
+        compile('lazy', {
+          output: { publicPath: `${name}/` },
+          minimizer: new ClosureCompilerPlugin({
+            mode: 'AGGRESSIVE_BUNDLE',
+            namespace: `__${name}`,
+            jsonpFunction: `${name}Jsonp`,
+          }),
+        });
+      return buildApp('appA').then((statsA) =>
+        buildApp('appB').then((statsB) => {
+          expect(getDiagnostics(statsA)).toEqual([]);
+          expect(getDiagnostics(statsB)).toEqual([]);
+          [statsA, statsB].forEach((stats) => {
+            Object.keys(stats.compilation.assets)
+              .filter((file) => /\.js$/.test(file))
+              .forEach((file) => {
+                const code = readAsset(stats, file);
+                expect(code).not.toContain('__wpcc');
+                expect(code).not.toContain('webpackJsonp');
+              });
+          });
+          const page = loadInBrowser(
+            [statsA, statsB],
+            ['appA/main.js', 'appB/main.js']
+          );
+          return page.waitForLogs(2).then((logs) => {
+            expect(logs).toEqual([
+              'b export named export',
+              'b export named export',
+            ]);
+            expect(page.scripts.map((script) => script.src)).toEqual([
+              'appA/2.chunk.js',
+              'appB/2.chunk.js',
+            ]);
+            expect(page.sandbox.__appA).toBeDefined();
+            expect(page.sandbox.__appB).toBeDefined();
+            expect(page.sandbox.__appA).not.toBe(page.sandbox.__appB);
+          });
+        })
+      );
+    });
+
+    test('should retry a failed chunk load with the integrity of the emitted chunk', () =>
+      compile('lazy', {
+        output: { crossOriginLoading: 'anonymous' },
+        minimizer: new ClosureCompilerPlugin({
+          mode: 'AGGRESSIVE_BUNDLE',
+          chunkLoadRetries: 2,
+          chunkLoadRetryDelay: 1,
+          subresourceIntegrity: true,
+          trustedTypes: 'closure',
+        }),
+      }).then((stats) => {
+        expect(getDiagnostics(stats)).toEqual([]);
+        const integrity = `sha384-${crypto
+          .createHash('sha384')
+          .update(readAsset(stats, '2.chunk.js'))
+          .digest('base64')}`;
+        expect(stats.compilation.assetsInfo.get('2.chunk.js').integrity).toBe(
+          integrity
+        );
+        expect(
+          stats.compilation.assets['2.chunk.js'].integrity
+        ).toBeUndefined();
+        expect(stats.toJson().assets).toEqual(
+          expect.arrayContaining([
+            expect.objectContaining({
+              name: '2.chunk.js',
+              info: expect.objectContaining({ integrity }),
+            }),
+          ])
+        );
+        const policies = [];
+        const page = loadInBrowser(stats, ['main.js'], {
+          failLoads: 1,
+          globals: {
+            trustedTypes: {
+              createPolicy: (name, rules) => {
+                policies.push(name);
+                return rules;
+              },
+            },
+          },
+        });
+        return page.waitForLogs(1).then((logs) => {
+          expect(logs).toEqual(['b export named export']);
+          expect(policies).toEqual(['closure']);
+          expect(
+            page.scripts.map((script) => [script.src, script.attributes])
+          ).toEqual(
+            ['2.chunk.js', '2.chunk.js?chunk-retry=1'].map((src) => [
+              src,
+              { crossorigin: 'anonymous', integrity },
+            ])
+          );
+        });
+      }));
+
+    describe('library output', () => {
+      const buildLibrary = (libraryTarget, output, options) =>
+        compile(
+          'library',
+          {
+            output: Object.assign({ library: 'MyLib', libraryTarget }, output),
+            minimizer: new ClosureCompilerPlugin({ mode: 'AGGRESSIVE_BUNDLE' }),
+            outputDir: `library-${libraryTarget}`,
+          },
+          options
+        );
+      const requireInNode = (stats) =>
+        execFileSync(
+          process.execPath,
+          [
+            '-e',
+            "const lib = require('./main.js'); console.log(new lib.LoudGreeter('node').greet(), lib.version);",
+          ],
+          { cwd: stats.compilation.outputOptions.path }
+        ).toString();
+
+      test('should assign the exports to a variable', () =>
+        buildLibrary('var').then((stats) => {
+          expect(getDiagnostics(stats)).toEqual([]);
+          const { MyLib } = loadInBrowser(stats, ['main.js']).sandbox;
+          expect(MyLib.greet('var')).toBe('hello var');
+          expect(new MyLib.LoudGreeter('var').greet()).toBe('HELLO VAR!');
+          expect(MyLib.version).toBe('1.0.0');
+        }));
+
+      test('should export the exports as a CommonJS module', () =>
+        buildLibrary(
+          'commonjs2',
+          { globalObject: 'this' },
+          { output: true }
+        ).then((stats) => {
+          expect(getDiagnostics(stats)).toEqual([]);
+          expect(requireInNode(stats)).toBe('HELLO NODE! 1.0.0\n');
+        }));
+
+      test('should expose the exports as a UMD module in node and browsers', () =>
+        buildLibrary('umd', { globalObject: 'this' }, { output: true }).then(
+          (stats) => {
+            expect(getDiagnostics(stats)).toEqual([]);
+            expect(requireInNode(stats)).toBe('HELLO NODE! 1.0.0\n');
+            const { MyLib } = loadInBrowser(stats, ['main.js']).sandbox;
+            expect(new MyLib.LoudGreeter('umd').greet()).toBe('HELLO UMD!');
+          }
+        ));
+    });
+
+    test('should link ES module chunks through import and export', () =>
+      compile(
+        'esm-chunks',
+        {
+          minimizer: new ClosureCompilerPlugin({
+            mode: 'AGGRESSIVE_BUNDLE',
+            esModuleOutput: true,
+          }),
+          outputDir: 'esm-chunks',
+        },
+        { output: true }
+      ).then((stats) => {
+        expect(getDiagnostics(stats)).toEqual([]);
+        const [, imported] = /import \{ (\S+) \} from "\.\/main\.js";/.exec(
+          readAsset(stats, '2.chunk.js')
+        );
+        const main = readAsset(stats, 'main.js');
+        expect(main).toContain(`export { ${imported} };`);
+        expect(main).not.toContain(imported.replace('$', '.'));
+
+        const outputPath = stats.compilation.outputOptions.path;
+        fs.writeFileSync(
+          path.join(outputPath, 'package.json'),
+          JSON.stringify({ type: 'module' })
+        );
+        const stdout = execFileSync(
+          process.execPath,
+          [
+            '--input-type=module',
+            '-e',
+            'globalThis.window = globalThis; import("./main.js");',
+          ],
+          { cwd: outputPath }
+        ).toString();
+        expect(stdout).toBe('main 1 1\nLAZY 2\n');
+      }));
   });
 });
@@ -0,0 +1,115 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import del from 'del';
+import ClosureCompilerPlugin from '../src/closure-compiler-plugin';
+import CompilationCache from '../src/compilation-cache';
+import compile, { readAsset } from './helpers/compiler';
+
+const flags = { compilation_level: 'SIMPLE' };
+const sources = [{ path: 'a.js', src: 'var a = 1;' }];
+const entry = { outputFiles: [{ path: 'a.js', src: 'var a=1;' }], errors: [] };
+
+const getCacheLogs = (stats) =>
+  (stats.compilation.logging.get('closure-compiler-plugin') || [])
+    .map((logEntry) => logEntry.args.join(' '))
+    .filter((message) => /^Cache (hit|miss)/.test(message));
+
+describe('compilation cache', () => {
+  let directory;
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'closure-cache-'));
+  });
+  afterEach(() => del.sync(directory, { force: true }));
+
+  test('should return stored entries and null for unknown keys', () => {
+    const cache = new CompilationCache({ directory, maxSize: 0 });
+    const key = cache.getKey(flags, sources);
+    expect(cache.get(key)).toBeNull();
+    cache.set(key, entry);
+    expect(cache.get(key)).toEqual(entry);
+  });
+
+  test('should change the key when the flags, sources or externs change', () => {
+    const cache = new CompilationCache({ directory, maxSize: 0 });
+    const externsPath = path.join(directory, 'externs.js');
+    fs.writeFileSync(externsPath, 'var external;');
+    const externsFlags = Object.assign({ externs: externsPath }, flags);
+    const key = cache.getKey(externsFlags, sources);
+
+    expect(cache.getKey(externsFlags, sources)).toBe(key);
+    expect(
+      cache.getKey(
+        Object.assign({}, externsFlags, { compilation_level: 'ADVANCED' }),
+        sources
+      )
+    ).not.toBe(key);
+    expect(
+      cache.getKey(externsFlags, [{ path: 'a.js', src: 'var a = 2;' }])
+    ).not.toBe(key);
+    fs.writeFileSync(externsPath, 'var otherExternal;');
+    expect(cache.getKey(externsFlags, sources)).not.toBe(key);
+  });
+
+  test('should change the key when the closure-compiler version changes', () => {
+    const key = new CompilationCache({ directory, maxSize: 0 }).getKey(
+      flags,
+      sources
+    );
+    jest.resetModules();
+    jest.doMock('google-closure-compiler/package.json', () => {
+      return {
+        version: '0.0.0',
+      };
+    });
+    const OtherVersionCache = require('../src/compilation-cache'); // eslint-disable-line global-require
+    jest.dontMock('google-closure-compiler/package.json');
+    expect(
+      new OtherVersionCache({ directory, maxSize: 0 }).getKey(flags, sources)
+    ).not.toBe(key);
+  });
+
+  test('should prune the least recently used entries', () => {
+    const entrySize = Buffer.byteLength(JSON.stringify(entry));
+    const cache = new CompilationCache({ directory, maxSize: entrySize * 2 });
+    cache.set('first', entry);
+    cache.set('second', entry);
+    const past = new Date(Date.now() - 60000);
+    fs.utimesSync(cache.getEntryPath('first'), past, past);
+    fs.utimesSync(
+      cache.getEntryPath('second'),
+      new Date(past.getTime() - 60000),
+      new Date(past.getTime() - 60000)
+    );
+    // Reading an entry marks it as recently used
+    cache.get('second');
+    cache.set('third', entry);
+
+    expect(fs.existsSync(cache.getEntryPath('first'))).toBe(false);
+    expect(cache.get('second')).toEqual(entry);
+    expect(cache.get('third')).toEqual(entry);
+  });
+
+  test('should reuse the results of a previous build', () => {
+    const build = () =>
+      compile('esm', {
+        minimizer: new ClosureCompilerPlugin({
+          mode: 'STANDARD',
+          cache: { directory },
+        }),
+      });
+    return build().then((firstStats) => {
+      expect(getCacheLogs(firstStats)).toEqual([
+        expect.stringMatching(/^Cache miss /),
+      ]);
+      return build().then((secondStats) => {
+        expect(getCacheLogs(secondStats)).toEqual([
+          expect.stringMatching(/^Cache hit /),
+        ]);
+        expect(readAsset(secondStats, 'main.js')).toBe(
+          readAsset(firstStats, 'main.js')
+        );
+      });
+    });
+  });
+});
@@ -0,0 +1,81 @@
+import path from 'path';
+import CompilerDaemon from '../src/compiler-daemon';
+
+const FAKE_SERVER = path.resolve(
+  __dirname,
+  'fixtures/compiler-server/fake-server.js'
+);
+
+describe('compiler daemon', () => {
+  let daemon;
+  beforeEach(() => {
+    daemon = new CompilerDaemon(process.execPath, [FAKE_SERVER]);
+  });
+  afterEach(() => daemon.stop());
+
+  test('should match responses to requests by id', () => {
+    const slow = daemon.compile({ delay: 100, name: 'slow' }, []);
+    const fast = daemon.compile({ name: 'fast' }, []);
+    expect(slow.id).not.toBe(fast.id);
+    const order = [];
+    return Promise.all([
+      slow.response.then((result) => order.push(JSON.parse(result.stdout))),
+      fast.response.then((result) => order.push(JSON.parse(result.stdout))),
+    ]).then(() => {
+      expect(order.map((flags) => flags.name)).toEqual(['fast', 'slow']);
+    });
+  });
+
+  test('should reuse the server process for every request', () => {
+    const first = daemon.compile({}, []);
+    const serverProcess = daemon.process;
+    return first.response
+      .then(() => daemon.compile({}, []).response)
+      .then(() => {
+        expect(daemon.process).toBe(serverProcess);
+      });
+  });
+
+  test('should reject a cancelled request and ignore its response', () => {
+    const request = daemon.compile({ delay: 10000 }, []);
+    daemon.cancel(request.id);
+    return expect(request.response)
+      .rejects.toThrow(`closure-compiler request ${request.id} cancelled`)
+      .then(() => daemon.compile({ name: 'next' }, []).response)
+      .then((result) => {
+        expect(JSON.parse(result.stdout).name).toBe('next');
+      });
+  });
+
+  test('should reject pending requests and restart after the server exits', () => {
+    const pending = daemon.compile({ delay: 10000 }, []);
+    const crash = daemon.compile({ exit: 3 }, []);
+    return Promise.all([
+      expect(pending.response).rejects.toThrow(
+        'closure-compiler server exited with code 3\nfake server failure'
+      ),
+      expect(crash.response).rejects.toThrow('exited with code 3'),
+    ])
+      .then(() => {
+        expect(daemon.process).toBeNull();
+        return daemon.compile({ name: 'restarted' }, []).response;
+      })
+      .then((result) => {
+        expect(JSON.parse(result.stdout).name).toBe('restarted');
+      });
+  });
+
+  test('should reject pending requests when stopped', () => {
+    const request = daemon.compile({ delay: 10000 }, []);
+    const serverProcess = daemon.process;
+    const exited = new Promise((resolve) => serverProcess.on('exit', resolve));
+    daemon.stop();
+    expect(daemon.process).toBeNull();
+    return Promise.all([
+      expect(request.response).rejects.toThrow(
+        'closure-compiler server stopped'
+      ),
+      exited,
+    ]);
+  });
+});
@@ -0,0 +1,112 @@
+import CompilerQueue from '../src/compiler-queue';
+
+const createDeferred = () => {
+  const deferred = {};
+  deferred.promise = new Promise((resolve, reject) => {
+    deferred.resolve = resolve;
+    deferred.reject = reject;
+  });
+  return deferred;
+};
+
+// Let the promise callbacks of the queue run
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+describe('compiler queue', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test('should not run more jobs than the concurrency limit', () => {
+    const queue = new CompilerQueue(2);
+    const deferreds = [];
+    let running = 0;
+    let maxRunning = 0;
+    const results = [0, 1, 2, 3, 4].map((i) =>
+      queue.add(() => {
+        running += 1;
+        maxRunning = Math.max(maxRunning, running);
+        const deferred = createDeferred();
+        deferreds[i] = deferred;
+        return deferred.promise.then((result) => {
+          running -= 1;
+          return result;
+        });
+      })
+    );
+    return flush()
+      .then(() => {
+        expect(deferreds.filter(Boolean)).toHaveLength(2);
+        deferreds[0].resolve('a');
+        return flush();
+      })
+      .then(() => {
+        expect(deferreds.filter(Boolean)).toHaveLength(3);
+        deferreds.slice(1).forEach((deferred) => deferred.resolve('b'));
+        return flush();
+      })
+      .then(() => {
+        deferreds.slice(3).forEach((deferred) => deferred.resolve('c'));
+        return Promise.all(results);
+      })
+      .then((values) => {
+        expect(values).toEqual(['a', 'b', 'b', 'c', 'c']);
+        expect(maxRunning).toBe(2);
+      });
+  });
+
+  test('should start waiting jobs in the order they were added', () => {
+    const queue = new CompilerQueue(1);
+    const started = [];
+    return Promise.all(
+      ['a', 'b', 'c', 'd'].map((name) =>
+        queue.add(() => {
+          started.push(name);
+          return flush();
+        })
+      )
+    ).then(() => {
+      expect(started).toEqual(['a', 'b', 'c', 'd']);
+    });
+  });
+
+  test('should run at least one job at a time', () => {
+    const queue = new CompilerQueue(0);
+    return queue
+      .add(() => 'done')
+      .then((result) => {
+        expect(result).toBe('done');
+      });
+  });
+
+  test('should keep running jobs after a job fails', () => {
+    const queue = new CompilerQueue(1);
+    const failed = queue.add(() => Promise.reject(new Error('failed')));
+    const next = queue.add(() => 'next');
+    return expect(failed)
+      .rejects.toThrow('failed')
+      .then(() => expect(next).resolves.toBe('next'));
+  });
+
+  test('should pass the time a job waited in the queue', () => {
+    let now = 1000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    const queue = new CompilerQueue(1);
+    const first = createDeferred();
+    const queueTimes = [];
+    const results = [
+      queue.add((queueTime) => {
+        queueTimes.push(queueTime);
+        return first.promise;
+      }),
+      queue.add((queueTime) => {
+        queueTimes.push(queueTime);
+      }),
+    ];
+    return flush().then(() => {
+      now += 250;
+      first.resolve();
+      return Promise.all(results).then(() => {
+        expect(queueTimes).toEqual([0, 250]);
+      });
+    });
+  });
+});
@@ -0,0 +1,169 @@
+import { spawnSync } from 'child_process';
+import path from 'path';
+import { getNativeImagePath } from 'google-closure-compiler/lib/utils';
+import ClosureCompilerError from '../src/closure-compiler-error';
+import ClosureCompilerPlugin from '../src/closure-compiler-plugin';
+import DIAGNOSTIC_GROUPS from '../src/diagnostic-groups';
+import DiagnosticRules from '../src/diagnostic-rules';
+import compile from './helpers/compiler';
+
+const uselessCode = { key: 'JSC_USELESS_CODE', description: 'Suspicious code' };
+const suspiciousNaN = {
+  key: 'JSC_SUSPICIOUS_NAN',
+  description: 'Comparison against NaN is always false.',
+};
+
+const getKeys = (diagnostics) =>
+  diagnostics.map((diagnostic) => diagnostic.key);
+
+const getLogs = (stats) =>
+  (stats.compilation.logging.get('closure-compiler-plugin') || [])
+    .filter((entry) => entry.type === 'info')
+    .map((entry) => entry.args.join(' '));
+
+/**
+ * Compile a fixture of the diagnostic-groups directory with the installed closure-compiler.
+ *
+ * @param {string} group
+ * @param {string} groupFlag `jscomp_warning` or `jscomp_off`
+ * @return {!Set<string>} keys of the reported diagnostics
+ */
+const getGroupFixtureKeys = (group, groupFlag) => {
+  const { stderr } = spawnSync(getNativeImagePath(), [
+    '--warning_level=VERBOSE',
+    '--jscomp_warning=checkTypes',
+    `--${groupFlag}=${group}`,
+    '--js',
+    path.resolve(__dirname, 'fixtures/diagnostic-groups', `${group}.js`),
+  ]);
+  return new Set(stderr.toString().match(/\bJSC_[A-Z0-9_]+/g));
+};
+
+describe('diagnostics rules', () => {
+  test('should match the keys of a diagnostic group', () => {
+    const rules = new DiagnosticRules([
+      { group: 'uselessCode', level: 'off' },
+      { group: ['deprecated', 'suspiciousCode'], level: 'error' },
+    ]);
+    expect(rules.findRule(uselessCode, 'index.js')).toBe(0);
+    expect(rules.findRule(suspiciousNaN, 'index.js')).toBe(1);
+    expect(rules.findRule({ key: 'JSC_TYPE_MISMATCH' }, 'index.js')).toBe(-1);
+  });
+
+  test('should require every condition of a rule to match', () => {
+    const rules = new DiagnosticRules([
+      { group: 'uselessCode', source: 'node_modules/**', level: 'off' },
+    ]);
+    expect(rules.findRule(uselessCode, 'node_modules/a/index.js')).toBe(0);
+    expect(rules.findRule(uselessCode, 'src/index.js')).toBe(-1);
+  });
+
+  test('should reject unknown diagnostic groups', () => {
+    expect(
+      () => new DiagnosticRules([{ group: 'uselessCod', level: 'off' }])
+    ).toThrow(
+      'closure-webpack-plugin: diagnostic group uselessCod is not supported'
+    );
+  });
+
+  test('should reject the groups which combine the diagnostics of many passes', () => {
+    ['checkTypes', 'checkVars', 'visibility'].forEach((group) => {
+      expect(() => new DiagnosticRules([{ group, level: 'off' }])).toThrow(
+        `closure-webpack-plugin: diagnostic group ${group} is not supported. Supported groups: deprecated, globalThis, missingProperties, strictMissingProperties, suspiciousCode, undefinedVars, uselessCode. Match the keys of other groups with the key condition.`
+      );
+    });
+  });
+
+  test('should match the keys which were missing from the suspiciousCode group', () => {
+    const rules = new DiagnosticRules([
+      { group: 'suspiciousCode', level: 'error' },
+    ]);
+    [
+      'JSC_DUPLICATE_CASE',
+      'JSC_SUSPICIOUS_NEGATED_LEFT_OPERAND_OF_IN_OPERATOR',
+    ].forEach((key) => {
+      expect(rules.findRule({ key }, 'index.js')).toBe(0);
+    });
+  });
+
+  Object.keys(DIAGNOSTIC_GROUPS).forEach((group) => {
+    test(`should list the keys closure-compiler reports for the ${group} group`, () => {
+      const reported = getGroupFixtureKeys(group, 'jscomp_warning');
+      const remaining = getGroupFixtureKeys(group, 'jscomp_off');
+      const groupKeys = Array.from(reported).filter(
+        (key) => !remaining.has(key)
+      );
+      expect(groupKeys.length).toBeGreaterThan(0);
+      expect(DIAGNOSTIC_GROUPS[group]).toEqual(
+        expect.arrayContaining(groupKeys)
+      );
+    });
+  });
+
+  test('should locate diagnostics in their webpack module', () =>
+    compile('diagnostics', {
+      minimizer: new ClosureCompilerPlugin({}),
+    }).then((stats) => {
+      expect(stats.compilation.errors).toEqual([]);
+      expect(
+        stats.compilation.warnings.map((warning) => [warning.key, warning.loc])
+      ).toEqual([
+        [
+          'JSC_USELESS_CODE',
+          { start: { line: 2, column: 0 }, end: { line: 2, column: 5 } },
+        ],
+        [
+          'JSC_SUSPICIOUS_NAN',
+          { start: { line: 3, column: 12 }, end: { line: 3, column: 24 } },
+        ],
+      ]);
+      stats.compilation.warnings.forEach((warning) => {
+        expect(warning).toBeInstanceOf(ClosureCompilerError);
+        expect(warning.module.resource).toBe(
+          path.resolve(__dirname, 'fixtures/diagnostics/index.js')
+        );
+      });
+    }));
+
+  test('should drop the diagnostics of a group', () =>
+    compile('diagnostics', {
+      minimizer: new ClosureCompilerPlugin({
+        diagnostics: [{ group: 'uselessCode', level: 'off' }],
+      }),
+    }).then((stats) => {
+      expect(getKeys(stats.compilation.errors)).toEqual([]);
+      expect(getKeys(stats.compilation.warnings)).toEqual([
+        'JSC_SUSPICIOUS_NAN',
+      ]);
+    }));
+
+  test('should report the diagnostics of a group as errors', () =>
+    compile('diagnostics', {
+      minimizer: new ClosureCompilerPlugin({
+        diagnostics: [{ group: 'suspiciousCode', level: 'error' }],
+      }),
+    }).then((stats) => {
+      expect(getKeys(stats.compilation.errors)).toEqual(['JSC_SUSPICIOUS_NAN']);
+      expect(getKeys(stats.compilation.warnings)).toEqual(['JSC_USELESS_CODE']);
+    }));
+
+  test('should only log diagnostics changed to info', () =>
+    compile('diagnostics', {
+      minimizer: new ClosureCompilerPlugin({
+        diagnostics: [
+          { group: ['uselessCode', 'suspiciousCode'], level: 'info' },
+        ],
+      }),
+    }).then((stats) => {
+      expect(getKeys(stats.compilation.errors)).toEqual([]);
+      expect(getKeys(stats.compilation.warnings)).toEqual([]);
+      const logs = getLogs(stats);
+      expect(logs).toEqual(
+        expect.arrayContaining([
+          expect.stringContaining('This code lacks side-effects'),
+          expect.stringContaining('Comparison against NaN is always false'),
+          'diagnostics[0] changed to info 2 diagnostic(s)',
+        ])
+      );
+    }));
+});
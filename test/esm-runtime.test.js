@@ -0,0 +1,73 @@
+import fs from 'fs';
+import path from 'path';
+import vm from 'vm';
+
+/**
+ * Create a sandbox in which the import function of the esModuleOutput wrapper resolves
+ * the given chunk modules.
+ */
+function createModuleSandbox(chunkModules) {
+  const sandbox = {
+    Promise,
+    setTimeout,
+    clearTimeout,
+    importedUrls: [],
+  };
+  sandbox.window = sandbox;
+  vm.createContext(sandbox);
+  sandbox.__wpcc = {
+    im(url) {
+      sandbox.importedUrls.push(url);
+      if (!chunkModules[url]) {
+        return Promise.reject(new Error(`Failed to import ${url}`));
+      }
+      return Promise.resolve(chunkModules[url]);
+    },
+  };
+  const runtimeSources = [
+    'basic-runtime.js',
+    'runtime.js',
+    'runtime-esm.js',
+  ].map((file) =>
+    fs.readFileSync(path.resolve(__dirname, '../src', file), 'utf8')
+  );
+  vm.runInContext(runtimeSources.join('\n'), sandbox);
+  return sandbox;
+}
+
+describe('Closure: Aggressive Mode ES module runtime', () => {
+  test('should import chunks relative to the runtime module', () => {
+    const sandbox = createModuleSandbox({
+      './1.chunk.js': {
+        ids: [1],
+        modules(ns) {
+          ns.loaded = 'b';
+        },
+      },
+    });
+    vm.runInContext('__webpack_require__.rs(1, "1.chunk.js");', sandbox);
+
+    return vm.runInContext('__webpack_require__.e(1)', sandbox).then(() => {
+      expect(sandbox.importedUrls).toEqual(['./1.chunk.js']);
+      expect(sandbox.__wpcc.loaded).toBe('b');
+      expect(sandbox.webpackJsonp).toBeUndefined();
+    });
+  });
+
+  test('should reject when a chunk fails to import', () => {
+    const sandbox = createModuleSandbox({});
+    vm.runInContext(
+      '__webpack_require__.p = "https://cdn.example.com/";' +
+        '__webpack_require__.rs(2, "2.chunk.js");',
+      sandbox
+    );
+
+    return expect(vm.runInContext('__webpack_require__.e(2)', sandbox))
+      .rejects.toThrow('Loading chunk 2 failed.')
+      .then(() => {
+        expect(sandbox.importedUrls).toEqual([
+          'https://cdn.example.com/2.chunk.js',
+        ]);
+      });
+  });
+});
@@ -0,0 +1,64 @@
+import ClosureCompilerPlugin from '../src/closure-compiler-plugin';
+import compile, { getDiagnostics } from './helpers/compiler';
+import loadInBrowser from './helpers/browser';
+
+const fakeLib = {
+  render: (major) => `rendered ${major}`,
+  version: { major: 3 },
+};
+
+describe('externs', () => {
+  test('should declare the externals and the properties used on them', () =>
+    compile('externals', {
+      externals: { 'fake-lib': 'FakeLib' },
+      minimizer: new ClosureCompilerPlugin(
+        { mode: 'STANDARD' },
+        { compilation_level: 'ADVANCED' }
+      ),
+    }).then((stats) => {
+      expect(getDiagnostics(stats)).toEqual([]);
+      const page = loadInBrowser(stats, ['main.js'], {
+        globals: { FakeLib: fakeLib },
+      });
+      expect(page.logs).toEqual(['rendered 3']);
+    }));
+
+  test('should report the externals as undeclared without externs', () =>
+    compile('externals', {
+      externals: { 'fake-lib': 'FakeLib' },
+      minimizer: new ClosureCompilerPlugin(
+        { mode: 'STANDARD', externalsExterns: false },
+        { compilation_level: 'ADVANCED' }
+      ),
+    }).then((stats) => {
+      expect(getDiagnostics(stats)).toEqual([
+        expect.stringContaining('variable FakeLib is undeclared'),
+      ]);
+    }));
+
+  test('should include the externs declared in package.json', () =>
+    compile('package-externs', {
+      minimizer: new ClosureCompilerPlugin(
+        { mode: 'STANDARD', packageExterns: true },
+        { compilation_level: 'ADVANCED' }
+      ),
+    }).then((stats) => {
+      expect(getDiagnostics(stats)).toEqual([]);
+      const page = loadInBrowser(stats, ['main.js'], {
+        globals: { NativeApi: { send: (message) => `sent ${message}` } },
+      });
+      expect(page.logs).toEqual(['sent ping']);
+    }));
+
+  test('should not include the externs of packages by default', () =>
+    compile('package-externs', {
+      minimizer: new ClosureCompilerPlugin(
+        { mode: 'STANDARD' },
+        { compilation_level: 'ADVANCED' }
+      ),
+    }).then((stats) => {
+      expect(getDiagnostics(stats)).toEqual([
+        expect.stringContaining('variable NativeApi is undeclared'),
+      ]);
+    }));
+});
@@ -0,0 +1,43 @@
+/**
+ * Closure-compiler server which runs the native closure-compiler once per
+ * request, so that builds can be tested end to end through the server
+ * protocol. Unlike a real server it keeps no compiler warm between requests.
+ */
+const readline = require('readline');
+const { compiler: ClosureCompiler } = require('google-closure-compiler');
+const { getNativeImagePath } = require('google-closure-compiler/lib/utils');
+
+const runningCompilers = new Map();
+
+const respond = (id, result) =>
+  process.stdout.write(`${JSON.stringify(Object.assign({ id }, result))}\n`);
+
+readline.createInterface({ input: process.stdin }).on('line', (line) => {
+  const { id, flags, sources, cancel } = JSON.parse(line);
+  if (cancel) {
+    if (runningCompilers.has(id)) {
+      runningCompilers.get(id).kill();
+    }
+    return;
+  }
+  const compilerRunner = new ClosureCompiler(flags);
+  compilerRunner.spawnOptions = { stdio: 'pipe' };
+  compilerRunner.JAR_PATH = null;
+  compilerRunner.javaPath = getNativeImagePath();
+  const compilerProcess = compilerRunner.run();
+  runningCompilers.set(id, compilerProcess);
+
+  let stdout = '';
+  let stderr = '';
+  compilerProcess.stdout.on('data', (data) => {
+    stdout += data;
+  });
+  compilerProcess.stderr.on('data', (data) => {
+    stderr += data;
+  });
+  compilerProcess.on('close', (exitCode) => {
+    runningCompilers.delete(id);
+    respond(id, { exitCode, stdout, stderr });
+  });
+  compilerProcess.stdin.end(JSON.stringify(sources));
+});
@@ -0,0 +1,30 @@
+/**
+ * Closure-compiler server which answers each request with its own flags after
+ * `flags.delay` milliseconds, exits when `flags.exit` is set and answers a
+ * cancelled request right away.
+ */
+const readline = require('readline');
+
+const timers = new Map();
+
+const respond = (id, stdout) =>
+  process.stdout.write(
+    `${JSON.stringify({ id, exitCode: 0, stdout, stderr: '' })}\n`
+  );
+
+readline.createInterface({ input: process.stdin }).on('line', (line) => {
+  const { id, flags, cancel } = JSON.parse(line);
+  if (cancel) {
+    clearTimeout(timers.get(id));
+    respond(id, 'cancelled');
+    return;
+  }
+  if (flags.exit) {
+    process.stderr.write('fake server failure');
+    process.exit(flags.exit);
+  }
+  timers.set(
+    id,
+    setTimeout(() => respond(id, JSON.stringify(flags)), flags.delay || 0)
+  );
+});
@@ -0,0 +1,12 @@
+/** @deprecated Use current. */
+function old() {}
+/** @constructor @deprecated Use Current. */
+function Old() {}
+/** @const */
+var ns = {};
+/** @deprecated Use ns.current. */
+ns.old = 1;
+window['deprecated'] = function() {
+  old();
+  return [new Old(), ns.old];
+};
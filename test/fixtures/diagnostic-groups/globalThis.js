@@ -0,0 +1,4 @@
+function getThis() {
+  return this.value;
+}
+window['globalThis'] = getThis;
@@ -0,0 +1,9 @@
+/** @constructor */
+function Point() {
+  /** @type {number} */
+  this.x = 0;
+}
+/** @param {!Point} point */
+window['missingProperties'] = function(point) {
+  return point.y;
+};
@@ -0,0 +1,11 @@
+/** @constructor */
+function Shape() {}
+/** @constructor @extends {Shape} */
+function Circle() {
+  /** @type {number} */
+  this.radius = 1;
+}
+/** @param {!Shape} shape */
+window['strictMissingProperties'] = function(shape) {
+  return shape.radius;
+};
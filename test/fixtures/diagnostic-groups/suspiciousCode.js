@@ -0,0 +1,19 @@
+/**
+ * @param {number} value
+ * @param {!Object} object
+ */
+window['suspiciousCode'] = function(value, object) {
+  switch (value) {
+    case 1:
+      break;
+    case 1:
+      break;
+  }
+  if (!value in object) {
+    return value == NaN;
+  }
+  if ('key' in 3) {
+    return true;
+  }
+  for (;;);
+};
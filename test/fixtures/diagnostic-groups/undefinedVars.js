@@ -0,0 +1 @@
+window['undefinedVars'] = undeclaredValue;
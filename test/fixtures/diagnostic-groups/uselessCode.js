@@ -0,0 +1,5 @@
+window['uselessCode'] = function(value) {
+  value;
+  return;
+  value();
+};
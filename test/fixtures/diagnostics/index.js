@@ -0,0 +1,3 @@
+var value = Math.random();
+value;
+console.log(value == NaN);
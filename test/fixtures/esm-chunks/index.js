@@ -0,0 +1,7 @@
+/* eslint-disable no-console */
+import { format, counter } from './shared';
+
+console.log(format('main'), counter.count);
+import('./lazy').then((lazy) => {
+  console.log(lazy.default('lazy'));
+});
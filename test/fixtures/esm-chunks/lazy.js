@@ -0,0 +1,5 @@
+import { format } from './shared';
+
+export default function(name) {
+  return format(name).toUpperCase();
+}
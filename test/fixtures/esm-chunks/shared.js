@@ -0,0 +1,6 @@
+export const counter = { count: 0 };
+
+export function format(name) {
+  counter.count += 1;
+  return `${name} ${counter.count}`;
+}
@@ -0,0 +1,3 @@
+import * as FakeLib from 'fake-lib';
+
+console.log(FakeLib.render(FakeLib.version.major));
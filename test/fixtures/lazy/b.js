@@ -0,0 +1,2 @@
+export const namedExport = 'named export';
+export default 'b export';
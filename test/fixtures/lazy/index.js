@@ -0,0 +1,4 @@
+/* eslint-disable no-console */
+import('./b').then((b) => {
+  console.log(b.default, b.namedExport);
+});
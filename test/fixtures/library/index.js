@@ -0,0 +1,21 @@
+export function greet(name) {
+  return `hello ${name}`;
+}
+
+export const version = '1.0.0';
+
+export class Greeter {
+  constructor(name) {
+    this.name = name;
+  }
+
+  greet() {
+    return greet(this.name);
+  }
+}
+
+export class LoudGreeter extends Greeter {
+  greet() {
+    return `${super.greet().toUpperCase()}!`;
+  }
+}
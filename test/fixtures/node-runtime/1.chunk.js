@@ -0,0 +1,4 @@
+exports.ids = [1];
+exports.modules = function(__wpcc) {
+  __wpcc.loaded = 'b';
+};
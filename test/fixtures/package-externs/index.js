@@ -0,0 +1,3 @@
+import * as nativeApi from './native-api';
+
+console.log(nativeApi.sendMessage('ping'));
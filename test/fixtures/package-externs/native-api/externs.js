@@ -0,0 +1,9 @@
+/** @externs */
+
+var NativeApi = {};
+
+/**
+ * @param {string} message
+ * @return {string}
+ */
+NativeApi.send = function(message) {};
@@ -0,0 +1,3 @@
+export function sendMessage(message) {
+  return NativeApi.send(message);
+}
@@ -0,0 +1,7 @@
+/* eslint-disable no-console */
+import('./lazy').then((lazy) => {
+  console.log(lazy.default);
+  return lazy.loadPrefetched().then((prefetched) => {
+    console.log(prefetched.default);
+  });
+});
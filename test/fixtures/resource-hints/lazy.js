@@ -0,0 +1,9 @@
+export default 'lazy';
+
+export function loadPrefetched() {
+  return import(/* webpackPrefetch: true */ './prefetched');
+}
+
+export function loadPreloaded() {
+  return import(/* webpackPreload: true */ './preloaded');
+}
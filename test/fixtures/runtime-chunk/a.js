@@ -0,0 +1,6 @@
+import log from './shared';
+
+log('a');
+import('./lazy').then((lazy) => {
+  log(lazy.default);
+});
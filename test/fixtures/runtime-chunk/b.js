@@ -0,0 +1,3 @@
+import log from './shared';
+
+log('b');
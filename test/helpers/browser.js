@@ -0,0 +1,114 @@
+import vm from 'vm';
+import { readAsset } from './compiler';
+
+/**
+ * Run the emitted entry files of a build in a sandbox which mimics a browser page.
+ * Script elements appended to the document are loaded from the output of the build,
+ * relative to `output.publicPath`. Files which were not emitted fail to load. Several
+ * builds share the page when they are given with distinct public paths.
+ *
+ * @param {(!Stats|!Array<!Stats>)} stats
+ * @param {!Array<string>} files entry files, in the order of their script tags, relative
+ *     to the public path
+ * @param {{failLoads: (number|undefined), globals: (!Object|undefined)}=} options
+ *     `failLoads` fails the first loads, `globals` are added to the global object
+ * @return {{
+ *   sandbox: !Object,
+ *   logs: !Array<string>,
+ *   scripts: !Array<!Object>,
+ *   links: !Array<!Object>,
+ *   waitForLogs: function(number): !Promise
+ * }}
+ */
+export default function loadInBrowser(stats, files, options) {
+  const builds = [].concat(stats);
+  const readUrl = (url) => {
+    const build = builds.find((buildStats) =>
+      url.startsWith(buildStats.compilation.outputOptions.publicPath || '')
+    );
+    const { publicPath = '' } = build.compilation.outputOptions;
+    return readAsset(build, url.slice(publicPath.length));
+  };
+  let failLoads = (options && options.failLoads) || 0;
+  const logs = [];
+  const scripts = [];
+  const links = [];
+
+  const createElement = (tagName) => {
+    return {
+      tagName: tagName.toUpperCase(),
+      attributes: {},
+      setAttribute(name, value) {
+        this.attributes[name] = `${value}`;
+      },
+      getAttribute(name) {
+        return name in this.attributes ? this.attributes[name] : null;
+      },
+    };
+  };
+  const head = {
+    removeChild() {},
+    appendChild(element) {
+      element.parentNode = head;
+      if (element.tagName === 'LINK') {
+        links.push(element);
+        return;
+      }
+      scripts.push(element);
+      const src = `${element.src}`;
+      setTimeout(() => {
+        let source = null;
+        try {
+          source = readUrl(src.replace(/\?.*$/, ''));
+        } catch (e) {}
+        if (source === null || failLoads > 0) {
+          failLoads -= 1;
+          element.onerror({ type: 'error', target: element });
+          return;
+        }
+        vm.runInContext(source, sandbox); // eslint-disable-line no-use-before-define
+        element.onload({ type: 'load', target: element });
+      }, 0);
+    },
+  };
+  const sandbox = {
+    console: {
+      log: (...args) => logs.push(args.join(' ')),
+    },
+    setTimeout,
+    clearTimeout,
+    Promise,
+    location: { href: 'http://localhost/', origin: 'http://localhost' },
+    document: {
+      head,
+      createElement,
+      getElementsByTagName: (tagName) =>
+        tagName === 'script' ? scripts.slice() : [head],
+      querySelector: () => null,
+      currentScript: null,
+    },
+  };
+  Object.assign(sandbox, options && options.globals);
+  sandbox.window = sandbox;
+  sandbox.self = sandbox;
+  vm.createContext(sandbox);
+
+  files.forEach((file) => vm.runInContext(readUrl(file), sandbox));
+
+  const waitForLogs = (count) =>
+    new Promise((resolve, reject) => {
+      const startTime = Date.now();
+      const check = () => {
+        if (logs.length >= count) {
+          resolve(logs);
+        } else if (Date.now() - startTime > 5000) {
+          reject(new Error(`Expected ${count} logs, got ${logs.join(', ')}`));
+        } else {
+          setTimeout(check, 10);
+        }
+      };
+      check();
+    });
+
+  return { sandbox, logs, scripts, links, waitForLogs };
+}
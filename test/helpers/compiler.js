@@ -1,49 +1,80 @@
+import fs from 'fs';
 import path from 'path';
 import del from 'del';
 import webpack from 'webpack';
 import MemoryFS from 'memory-fs';
+import { version as webpackVersion } from 'webpack/package.json';
 
-const [majorVersion] = require('webpack/package.json').version.split('.');
+export const webpackMajorVersion = Number(webpackVersion.split('.')[0]);
 
 const modules = (config) => {
   return {
-    rules: config.rules,
+    rules: config.rules || [],
   };
 };
 
 const plugins = (config) =>
-  [
-    new webpack.optimize.CommonsChunkPlugin({
-      names: ['runtime'],
-      minChunks: Infinity,
-    }),
-  ].concat(config.plugins || []);
-
-const output = (config) => {
-  return {
-    path: path.resolve(
-      __dirname,
-      `../outputs/${config.output ? config.output : ''}`
-    ),
-    filename: '[name].js',
-    chunkFilename: '[name].chunk.js',
-  };
-};
+  (webpackMajorVersion < 4
+    ? [
+        new webpack.optimize.CommonsChunkPlugin({
+          names: ['runtime'],
+          minChunks: Infinity,
+        }),
+      ]
+    : []
+  ).concat(config.plugins || []);
 
-export default function(fixture, config, options) {
+const output = (config) =>
+  Object.assign(
+    {
+      path: path.resolve(__dirname, `../outputs/${config.outputDir || ''}`),
+      filename: '[name].js',
+      chunkFilename: '[name].chunk.js',
+      // Webpack 5 defaults to a public path detected from the script element
+      publicPath: '',
+      // md4 is not available from the OpenSSL 3 of recent node versions
+      hashFunction: 'sha256',
+    },
+    // Closure-compiler cannot parse the optional chaining of the webpack 5 runtime
+    webpackMajorVersion >= 5
+      ? { environment: { optionalChaining: false } }
+      : {},
+    config.output
+  );
+
+const optimization = (config) =>
+  Object.assign(
+    {
+      minimize: Boolean(config.minimizer),
+      minimizer: config.minimizer ? [config.minimizer] : [],
+      concatenateModules: false,
+    },
+    config.optimization
+  );
+
+/**
+ * Create the webpack compiler of a fixture. The plugin under test is passed as
+ * `config.minimizer`.
+ *
+ * @param {string} fixture entry path relative to the fixtures directory
+ * @param {!Object} config
+ * @param {{output: boolean}=} options `output` writes the files to test/outputs
+ * @return {!Compiler}
+ */
+export function createCompiler(fixture, config, options) {
   config = {
-    devtool: config.devtool || 'sourcemap',
+    mode: config.mode || 'production',
+    devtool: config.devtool === undefined ? 'source-map' : config.devtool, // eslint-disable-line no-undefined
     context: path.resolve(__dirname, '..', 'fixtures'),
-    entry: `./${fixture}`,
+    entry: config.entry || `./${fixture}`,
+    target: config.target || 'web',
+    externals: config.externals || {},
     output: output(config),
     module: modules(config),
     plugins: plugins(config),
+    optimization: optimization(config),
   };
 
-  if (Number(majorVersion) >= 4) {
-    config.mode = 'development';
-  }
-
   options = Object.assign({ output: false }, options);
 
   if (options.output) del.sync(config.output.path);
@@ -52,11 +83,53 @@ export default function(fixture, config, options) {
 
   if (!options.output) compiler.outputFileSystem = new MemoryFS();
 
+  return compiler;
+}
+
+/**
+ * Build a fixture. The plugin under test is passed as `config.minimizer`.
+ *
+ * @param {string} fixture entry path relative to the fixtures directory
+ * @param {!Object} config
+ * @param {{output: boolean}=} options `output` writes the files to test/outputs
+ * @return {!Promise<!Stats>}
+ */
+export default function(fixture, config, options) {
+  const compiler = createCompiler(fixture, config, options);
+
   return new Promise((resolve, reject) =>
     compiler.run((err, stats) => {
-      if (err) reject(err);
+      if (err) {
+        reject(err);
+        return;
+      }
 
       resolve(stats);
     })
   );
 }
+
+/**
+ * @param {!Stats} stats
+ * @param {string} file
+ * @return {string} content of an emitted file
+ */
+export function readAsset(stats, file) {
+  const { compilation } = stats;
+  const { outputFileSystem } = compilation.compiler;
+  // The node output file system of webpack 4 cannot read
+  const inputFileSystem = outputFileSystem.readFileSync ? outputFileSystem : fs;
+  return inputFileSystem
+    .readFileSync(path.join(compilation.outputOptions.path, file))
+    .toString();
+}
+
+/**
+ * @param {!Stats} stats
+ * @return {!Array<string>} messages of the errors and warnings of the build
+ */
+export function getDiagnostics(stats) {
+  return stats.compilation.errors
+    .concat(stats.compilation.warnings)
+    .map((e) => e.message);
+}
@@ -0,0 +1,10 @@
+import crypto from 'crypto';
+
+// Webpack 4 hashes with md4, which the OpenSSL 3 of node 17 and later does not provide
+try {
+  crypto.createHash('md4');
+} catch (e) {
+  const { createHash } = crypto;
+  crypto.createHash = (algorithm, options) =>
+    createHash(algorithm === 'md4' ? 'sha256' : algorithm, options);
+}
@@ -0,0 +1,108 @@
+import { execFileSync } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+import vm from 'vm';
+import ClosureCompilerPlugin from '../src/closure-compiler-plugin';
+import compile, {
+  getDiagnostics,
+  webpackMajorVersion,
+} from './helpers/compiler';
+
+const testWebpack4 = webpackMajorVersion < 5 ? test : test.skip;
+
+/**
+ * Create a sandbox with the globals of a Node.js module whose chunk files are in the
+ * node-runtime fixtures directory.
+ */
+function createNodeSandbox() {
+  const sandbox = {
+    Promise,
+    setTimeout,
+    clearTimeout,
+    require,
+    __dirname: path.resolve(__dirname, 'fixtures', 'node-runtime'),
+  };
+  sandbox.global = sandbox;
+  vm.createContext(sandbox);
+  const runtimeSources = [
+    'basic-runtime.js',
+    'runtime.js',
+    'runtime-node.js',
+  ].map((file) =>
+    fs.readFileSync(path.resolve(__dirname, '../src', file), 'utf8')
+  );
+  vm.runInContext(`var __wpcc = {};\n${runtimeSources.join('\n')}`, sandbox);
+  return sandbox;
+}
+
+describe('Closure: Aggressive Mode node runtime', () => {
+  testWebpack4('should run a build for the node target in node', () =>
+    compile(
+      'lazy',
+      {
+        target: 'node',
+        minimizer: new ClosureCompilerPlugin({ mode: 'AGGRESSIVE_BUNDLE' }),
+        outputDir: 'node-target',
+      },
+      { output: true }
+    ).then((stats) => {
+      expect(getDiagnostics(stats)).toEqual([]);
+      // Chunks are loaded relative to the runtime file, not the working directory
+      const stdout = execFileSync(
+        process.execPath,
+        [path.join(stats.compilation.outputOptions.path, 'main.js')],
+        { cwd: __dirname }
+      ).toString();
+      expect(stdout).toBe('b export named export\n');
+    })
+  );
+
+  testWebpack4(
+    'should load chunks relative to the output path from a subdirectory',
+    () =>
+      compile(
+        'lazy',
+        {
+          target: 'node',
+          output: {
+            filename: 'js/[name].js',
+            chunkFilename: 'js/chunks/[name].chunk.js',
+          },
+          minimizer: new ClosureCompilerPlugin({ mode: 'AGGRESSIVE_BUNDLE' }),
+          outputDir: 'node-target-subdirectory',
+        },
+        { output: true }
+      ).then((stats) => {
+        expect(getDiagnostics(stats)).toEqual([]);
+        const outputPath = stats.compilation.outputOptions.path;
+        expect(
+          fs.existsSync(path.join(outputPath, 'js/chunks/2.chunk.js'))
+        ).toBe(true);
+        const stdout = execFileSync(
+          process.execPath,
+          [path.join(outputPath, 'js/main.js')],
+          { cwd: __dirname }
+        ).toString();
+        expect(stdout).toBe('b export named export\n');
+      })
+  );
+
+  test('should load chunks with require', () => {
+    const sandbox = createNodeSandbox();
+    vm.runInContext('__webpack_require__.rs(1, "1.chunk.js");', sandbox);
+
+    return vm.runInContext('__webpack_require__.e(1)', sandbox).then(() => {
+      expect(vm.runInContext('__wpcc.loaded', sandbox)).toBe('b');
+      expect(sandbox.webpackJsonp).toBeUndefined();
+    });
+  });
+
+  test('should reject when a chunk fails to load', () => {
+    const sandbox = createNodeSandbox();
+    vm.runInContext('__webpack_require__.rs(2, "2.chunk.js");', sandbox);
+
+    return expect(
+      vm.runInContext('__webpack_require__.e(2)', sandbox)
+    ).rejects.toThrow('Loading chunk 2 failed.');
+  });
+});
@@ -0,0 +1,123 @@
+import ClosureCompilerPlugin from '../src/closure-compiler-plugin';
+import compile, {
+  getDiagnostics,
+  readAsset,
+  webpackMajorVersion,
+} from './helpers/compiler';
+import loadInBrowser from './helpers/browser';
+
+const describeWebpack4 = webpackMajorVersion < 5 ? describe : describe.skip;
+
+const outputLanguages = [
+  { language_out: 'ECMASCRIPT5', suffix: '.es5' },
+  { language_out: 'ECMASCRIPT_2017' },
+];
+
+describe('output languages', () => {
+  test('should reject output languages with the same language_out or suffix', () => {
+    [
+      [
+        { language_out: 'ECMASCRIPT5', suffix: '.a' },
+        { language_out: 'ECMASCRIPT5' },
+      ],
+      [{ language_out: 'ECMASCRIPT5' }, { language_out: 'ECMASCRIPT_2017' }],
+    ].forEach((languages) => {
+      expect(
+        () =>
+          new ClosureCompilerPlugin({
+            mode: 'STANDARD',
+            outputLanguages: languages,
+          })
+      ).toThrow(
+        'closure-webpack-plugin: each of the outputLanguages must have a different language_out and suffix'
+      );
+    });
+  });
+
+  if (webpackMajorVersion >= 5) {
+    test('should not be supported with webpack 5', () => {
+      expect(() =>
+        compile('lazy', {
+          minimizer: new ClosureCompilerPlugin({
+            mode: 'STANDARD',
+            outputLanguages,
+          }),
+        })
+      ).toThrow('The outputLanguages option is not supported with webpack 5');
+    });
+  }
+
+  describeWebpack4('with webpack 4', () => {
+    const build = () =>
+      compile('lazy', {
+        minimizer: new ClosureCompilerPlugin({
+          mode: 'STANDARD',
+          outputLanguages,
+        }),
+      });
+
+    test('should emit the chunks of each language with its suffix', () =>
+      build().then((stats) => {
+        expect(getDiagnostics(stats)).toEqual([]);
+        expect(Object.keys(stats.compilation.assets).sort()).toEqual([
+          '1.chunk.es5.js',
+          '1.chunk.es5.js.map',
+          '1.chunk.js',
+          '1.chunk.js.map',
+          'main.es5.js',
+          'main.es5.js.map',
+          'main.js',
+          'main.js.map',
+          'output-languages.json',
+        ]);
+        ['main.es5.js', '1.chunk.es5.js'].forEach((file) => {
+          expect(readAsset(stats, file)).not.toMatch(/=>|\b(const|let)\b/);
+        });
+        expect(readAsset(stats, 'main.js')).toContain('=>');
+      }));
+
+    test('should list the files of each chunk and entry point in the manifest', () =>
+      build().then((stats) => {
+        expect(JSON.parse(readAsset(stats, 'output-languages.json'))).toEqual({
+          languages: [
+            { language_out: 'ECMASCRIPT5', suffix: '.es5' },
+            { language_out: 'ECMASCRIPT_2017', suffix: '' },
+          ],
+          entrypoints: {
+            main: {
+              ECMASCRIPT5: ['main.es5.js'],
+              ECMASCRIPT_2017: ['main.js'],
+            },
+          },
+          chunks: {
+            1: {
+              ECMASCRIPT5: '1.chunk.es5.js',
+              ECMASCRIPT_2017: '1.chunk.js',
+            },
+            main: {
+              ECMASCRIPT5: 'main.es5.js',
+              ECMASCRIPT_2017: 'main.js',
+            },
+          },
+        });
+      }));
+
+    test('should load the late loaded chunks compiled for the same language', () =>
+      build().then((stats) =>
+        Promise.all(
+          [
+            ['main.es5.js', '1.chunk.es5.js'],
+            ['main.js', '1.chunk.js'],
+          ].map(([mainFile, chunkFile]) => {
+            const page = loadInBrowser(stats, [mainFile]);
+            return page.waitForLogs(1).then((logs) => {
+              expect(logs).toEqual(['b export named export']);
+              expect(page.scripts.map((script) => script.src)).toEqual([
+                chunkFile,
+              ]);
+            });
+          })
+        )
+      ));
+  });
+});
@@ -0,0 +1,97 @@
+import { RawSource } from 'webpack-sources';
+import createHash from 'webpack/lib/util/createHash';
+import ClosureCompilerPlugin from '../src/closure-compiler-plugin';
+import updateContentHashes from '../src/real-content-hash';
+import compile, {
+  getDiagnostics,
+  readAsset,
+  webpackMajorVersion,
+} from './helpers/compiler';
+import loadInBrowser from './helpers/browser';
+
+const describeWebpack4 = webpackMajorVersion < 5 ? describe : describe.skip;
+
+/**
+ * @param {string} content
+ * @param {number} length
+ * @return {string}
+ */
+const hashContent = (content, length) => {
+  const hash = createHash('sha256');
+  hash.update(content);
+  return hash.digest('hex').substr(0, length);
+};
+
+describe('real content hash', () => {
+  test('should only replace the hashes referenced by string literals', () => {
+    const lazyChunk = 'console.log("lazy");';
+    const lazyHash = hashContent(lazyChunk, 4);
+    const compilation = {
+      outputOptions: { hashFunction: 'sha256', hashDigest: 'hex' },
+      chunks: [],
+      assets: {
+        'main.bb22.js': new RawSource(
+          'var a1b2=1,c=0xa1b2,d="xa1b2";var p={2:"a1b2"};"2."+p[2]+".js";'
+        ),
+        '2.a1b2.js': new RawSource(lazyChunk),
+      },
+    };
+    const renamedFiles = updateContentHashes(
+      compilation,
+      new Map([
+        [{}, { hash: 'bb22', files: ['main.bb22.js'] }],
+        [{}, { hash: 'a1b2', files: ['2.a1b2.js'] }],
+      ])
+    );
+
+    const main = `var a1b2=1,c=0xa1b2,d="xa1b2";var p={2:"${lazyHash}"};"2."+p[2]+".js";`;
+    const mainHash = hashContent(main, 4);
+    expect(Array.from(renamedFiles)).toEqual([
+      ['main.bb22.js', `main.${mainHash}.js`],
+      ['2.a1b2.js', `2.${lazyHash}.js`],
+    ]);
+    expect(compilation.assets[`main.${mainHash}.js`].source()).toBe(main);
+    expect(compilation.assets[`2.${lazyHash}.js`].source()).toBe(lazyChunk);
+  });
+
+  describeWebpack4('with webpack 4', () => {
+    const build = (options) =>
+      compile('lazy', {
+        devtool: false,
+        output: {
+          filename: '[name].[contenthash:8].js',
+          chunkFilename: '[name].[contenthash:8].chunk.js',
+        },
+        minimizer: new ClosureCompilerPlugin(
+          Object.assign({ mode: 'STANDARD' }, options)
+        ),
+      });
+
+    test('should keep the content hashes of webpack by default', () =>
+      build().then((stats) => {
+        expect(getDiagnostics(stats)).toEqual([]);
+        const files = Object.keys(stats.compilation.assets);
+        expect(files).toHaveLength(2);
+        files.forEach((file) => {
+          const [, hash] = /\.([0-9a-f]{8})\./.exec(file);
+          expect(hashContent(readAsset(stats, file), 8)).not.toBe(hash);
+        });
+      }));
+
+    test('should name the files after the hash of their compiled content', () =>
+      build({ realContentHash: true }).then((stats) => {
+        expect(getDiagnostics(stats)).toEqual([]);
+        const files = Object.keys(stats.compilation.assets);
+        expect(files).toHaveLength(2);
+        files.forEach((file) => {
+          const [, hash] = /\.([0-9a-f]{8})\./.exec(file);
+          expect(hashContent(readAsset(stats, file), 8)).toBe(hash);
+        });
+        const mainFile = files.find((file) => /^main\./.test(file));
+        const page = loadInBrowser(stats, [mainFile]);
+        return page.waitForLogs(1).then((logs) => {
+          expect(logs).toEqual(['b export named export']);
+        });
+      }));
+  });
+});
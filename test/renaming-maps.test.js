@@ -0,0 +1,80 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import del from 'del';
+import ClosureCompilerPlugin from '../src/closure-compiler-plugin';
+import RenamingMaps from '../src/renaming-maps';
+import compile, { getDiagnostics } from './helpers/compiler';
+
+const getLogs = (stats, type) =>
+  (stats.compilation.logging.get('closure-compiler-plugin') || [])
+    .filter((entry) => entry.type === type)
+    .map((entry) => entry.args.join(' '));
+
+describe('renaming maps', () => {
+  let directory;
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'closure-renaming-'));
+  });
+  afterEach(() => del.sync(directory, { force: true }));
+
+  test('should replace the stored maps with the reports and list dropped renamings', () => {
+    const renamingMaps = new RenamingMaps(directory);
+    const flags = renamingMaps.getFlags('main');
+    expect(flags).toEqual({
+      property_renaming_report: path.join(
+        directory,
+        'main.property-map.txt.new'
+      ),
+      variable_renaming_report: path.join(
+        directory,
+        'main.variable-map.txt.new'
+      ),
+    });
+    fs.writeFileSync(flags.property_renaming_report, 'kept:a\nchanged:b\n');
+    expect(renamingMaps.update('main')).toEqual([]);
+
+    renamingMaps.getFlags('main');
+    fs.writeFileSync(flags.property_renaming_report, 'kept:a\nchanged:c\n');
+    expect(renamingMaps.update('main')).toEqual(['property changed:b']);
+    expect(
+      fs.readFileSync(path.join(directory, 'main.property-map.txt'), 'utf8')
+    ).toBe('kept:a\nchanged:c\n');
+  });
+
+  test('should keep a report left by a failed build out of the maps', () => {
+    const renamingMaps = new RenamingMaps(directory);
+    const flags = renamingMaps.getFlags('main');
+    fs.writeFileSync(flags.variable_renaming_report, 'a:b\n');
+    renamingMaps.getFlags('main');
+    expect(renamingMaps.update('main')).toEqual([]);
+    expect(fs.readdirSync(directory)).toEqual([]);
+  });
+
+  test('should warn about the stored renamings a build drops', () => {
+    const build = () =>
+      compile('esm', {
+        minimizer: new ClosureCompilerPlugin(
+          { mode: 'STANDARD', renamingMaps: directory },
+          { compilation_level: 'ADVANCED' }
+        ),
+      });
+    const propertyMapPath = path.join(directory, 'main.property-map.txt');
+    return build()
+      .then((stats) => {
+        expect(getDiagnostics(stats)).toEqual([]);
+        expect(getLogs(stats, 'warn')).toEqual([]);
+        expect(fs.readFileSync(propertyMapPath, 'utf8')).toMatch(/^\S+:\S+$/m);
+        fs.appendFileSync(propertyMapPath, 'removedProperty:zz\n');
+        return build();
+      })
+      .then((stats) => {
+        expect(getLogs(stats, 'warn')).toEqual([
+          'main: 1 renaming(s) from the stored renaming map were not kept:\n  property removedProperty:zz',
+        ]);
+        expect(fs.readFileSync(propertyMapPath, 'utf8')).not.toContain(
+          'removedProperty'
+        );
+      });
+  });
+});
@@ -1,5 +1,263 @@
+import path from 'path';
+import googleClosureCompiler from 'google-closure-compiler';
+import ClosureCompilerPlugin from '../src/closure-compiler-plugin';
+import compile, {
+  createCompiler,
+  getDiagnostics,
+  readAsset,
+  webpackMajorVersion,
+} from './helpers/compiler';
+import loadInBrowser from './helpers/browser';
+
 describe('Closure: Simple Mode', () => {
-  test('should result in the meaning of life', () => {
-    expect(22 + 20).toBe(42);
+  test('should compile ES modules', () =>
+    compile('esm', {
+      minimizer: new ClosureCompilerPlugin({ mode: 'STANDARD' }),
+    }).then((stats) => {
+      expect(getDiagnostics(stats)).toEqual([]);
+      const page = loadInBrowser(stats, ['main.js']);
+      expect(page.logs).toEqual(['b export named export exportA exportB']);
+    }));
+
+  test('should compile CommonJS modules', () =>
+    compile('cjs', {
+      minimizer: new ClosureCompilerPlugin({ mode: 'STANDARD' }),
+    }).then((stats) => {
+      expect(getDiagnostics(stats)).toEqual([]);
+      const page = loadInBrowser(stats, ['main.js']);
+      expect(page.logs).toEqual(['b export exportA exportB']);
+    }));
+
+  test('should compile late loaded chunks', () =>
+    compile('lazy', {
+      minimizer: new ClosureCompilerPlugin({ mode: 'STANDARD' }),
+    }).then((stats) => {
+      expect(getDiagnostics(stats)).toEqual([]);
+      const page = loadInBrowser(stats, ['main.js']);
+      return page.waitForLogs(1).then((logs) => {
+        expect(logs).toEqual(['b export named export']);
+        expect(page.scripts).toHaveLength(1);
+      });
+    }));
+
+  [
+    ['exclude', { exclude: /\.chunk\.js$/ }],
+    ['include', { include: 'main' }],
+  ].forEach(([option, options]) => {
+    test(`should emit chunks not selected by ${option} unchanged`, () =>
+      compile('lazy', {
+        minimizer: new ClosureCompilerPlugin(
+          Object.assign({ mode: 'STANDARD' }, options)
+        ),
+      }).then((stats) => {
+        expect(getDiagnostics(stats)).toEqual([]);
+        const [lazyChunk] = Object.keys(
+          stats.compilation.assets
+        ).filter((file) => /\.chunk\.js$/.test(file));
+        // Webpack marks the modules of unminified chunks with /***/ comments
+        expect(readAsset(stats, 'main.js')).not.toContain('/***/');
+        expect(readAsset(stats, lazyChunk)).toContain('/***/');
+        const page = loadInBrowser(stats, ['main.js']);
+        return page.waitForLogs(1).then((logs) => {
+          expect(logs).toEqual(['b export named export']);
+        });
+      }));
+  });
+
+  describe('development builds', () => {
+    const getAssetInfo = (stats, file) =>
+      stats.compilation.assetsInfo.get(file) || {};
+
+    test('should transpile with the transpile strategy', () =>
+      compile('lazy', {
+        mode: 'development',
+        minimizer: new ClosureCompilerPlugin({
+          mode: 'STANDARD',
+          developmentStrategy: 'transpile',
+        }),
+      }).then((stats) => {
+        expect(getDiagnostics(stats)).toEqual([]);
+        expect(getAssetInfo(stats, 'main.js')).toEqual(
+          expect.objectContaining({ closureCompiler: 'transpile' })
+        );
+        expect(getAssetInfo(stats, 'main.js').development).toBeUndefined();
+        // WHITESPACE_ONLY optimizations remove comments
+        expect(readAsset(stats, 'main.js')).not.toContain(
+          '// webpackBootstrap'
+        );
+        const page = loadInBrowser(stats, ['main.js']);
+        return page.waitForLogs(1).then((logs) => {
+          expect(logs).toEqual(['b export named export']);
+        });
+      }));
+
+    test('should emit the webpack output with the skip strategy', () =>
+      compile('lazy', {
+        mode: 'development',
+        minimizer: new ClosureCompilerPlugin({
+          mode: 'STANDARD',
+          developmentStrategy: 'skip',
+        }),
+      }).then((stats) => {
+        expect(getDiagnostics(stats)).toEqual([]);
+        expect(getAssetInfo(stats, 'main.js')).toEqual(
+          expect.objectContaining({ closureCompiler: 'skip' })
+        );
+        expect(getAssetInfo(stats, 'main.js').development).toBeUndefined();
+        expect(readAsset(stats, 'main.js')).toContain('// webpackBootstrap');
+      }));
+
+    test('should compile in full by default', () =>
+      compile('lazy', {
+        mode: 'development',
+        minimizer: new ClosureCompilerPlugin({ mode: 'STANDARD' }),
+      }).then((stats) => {
+        expect(getDiagnostics(stats)).toEqual([]);
+        expect(getAssetInfo(stats, 'main.js').closureCompiler).toBeUndefined();
+        expect(readAsset(stats, 'main.js')).not.toContain(
+          '// webpackBootstrap'
+        );
+      }));
+
+    test('should transpile late loaded chunks with the flags of their entry chunk', () => {
+      const flagsChunks = [];
+      return compile('lazy', {
+        mode: 'development',
+        minimizer: new ClosureCompilerPlugin(
+          { mode: 'STANDARD', developmentStrategy: 'transpile' },
+          (chunk) => {
+            flagsChunks.push(chunk.name);
+            return { language_out: 'ECMASCRIPT5' };
+          }
+        ),
+      }).then((stats) => {
+        expect(getDiagnostics(stats)).toEqual([]);
+        expect(flagsChunks).toEqual(['main']);
+        const [lazyFile] = Object.keys(
+          stats.compilation.assets
+        ).filter((file) => /\.chunk\.js$/.test(file));
+        expect(readAsset(stats, 'main.js')).not.toMatch(/\bconst\b/);
+        expect(readAsset(stats, lazyFile)).not.toMatch(/\bconst\b/);
+        const page = loadInBrowser(stats, ['main.js']);
+        return page.waitForLogs(1).then((logs) => {
+          expect(logs).toEqual(['b export named export']);
+        });
+      });
+    });
+
+    test('should only apply the strategy to development builds', () => {
+      const plugin = new ClosureCompilerPlugin({
+        mode: 'STANDARD',
+        developmentStrategy: 'transpile',
+      });
+      const compiler = { options: { mode: 'production' }, watchMode: true };
+      expect(plugin.getDevelopmentStrategy(compiler)).toBe('full');
+      compiler.options.mode = 'none';
+      expect(plugin.getDevelopmentStrategy(compiler)).toBe('full');
+      compiler.options.mode = 'development';
+      expect(plugin.getDevelopmentStrategy(compiler)).toBe('transpile');
+    });
+  });
+
+  if (webpackMajorVersion >= 5) {
+    test('should report an error instead of disabling optional chaining', () => {
+      const environment = { optionalChaining: true };
+      return compile('esm', {
+        output: { environment },
+        minimizer: new ClosureCompilerPlugin({ mode: 'STANDARD' }),
+      }).then((stats) => {
+        expect(stats.compilation.errors.map((error) => error.message)).toEqual(
+          expect.arrayContaining([
+            expect.stringContaining(
+              'closure-compiler cannot parse the optional chaining of the webpack runtime'
+            ),
+          ])
+        );
+        expect(environment.optionalChaining).toBe(true);
+        expect(
+          stats.compilation.outputOptions.environment.optionalChaining
+        ).toBe(true);
+      });
+    });
+  }
+
+  // Webpack 4 pauses its watcher while it builds, so it is only invalidated between builds
+  (webpackMajorVersion >= 5 ? test : test.skip)(
+    'should stop closure-compiler when the watched build is invalidated',
+    () => {
+      const { compiler: ClosureCompiler } = googleClosureCompiler;
+      const { run } = ClosureCompiler.prototype;
+      const compilerProcesses = [];
+      const exitSignals = [];
+      const compilations = [];
+      const compiler = createCompiler('lazy', {
+        minimizer: new ClosureCompilerPlugin({ mode: 'STANDARD' }),
+      });
+      compiler.hooks.afterCompile.tap('test', (compilation) => {
+        compilations.push(compilation);
+      });
+      let watching;
+      const runSpy = jest
+        .spyOn(ClosureCompiler.prototype, 'run')
+        .mockImplementation(function() {
+          const compilerProcess = run.call(this);
+          compilerProcess.on('exit', (code, signal) =>
+            exitSignals.push(signal)
+          );
+          if (compilerProcesses.push(compilerProcess) === 1) {
+            // Once the plugin tracks the process
+            setImmediate(() => watching.invalidate());
+          }
+          return compilerProcess;
+        });
+      return new Promise((resolve, reject) => {
+        watching = compiler.watch({}, (err, stats) => {
+          if (err) {
+            reject(err);
+            return;
+          }
+          watching.close(() => resolve(stats));
+        });
+      })
+        .then((stats) => {
+          expect(compilerProcesses).toHaveLength(2);
+          expect(compilerProcesses[0].killed).toBe(true);
+          expect(exitSignals).toEqual(['SIGTERM', null]);
+          expect(compilations).toHaveLength(2);
+          compilations.forEach((compilation) => {
+            expect(compilation.errors).toEqual([]);
+          });
+          expect(stats.compilation).toBe(compilations[1]);
+          const page = loadInBrowser(stats, ['main.js']);
+          return page.waitForLogs(1).then((logs) => {
+            expect(logs).toEqual(['b export named export']);
+          });
+        })
+        .then(
+          () => runSpy.mockRestore(),
+          (e) => {
+            runSpy.mockRestore();
+            throw e;
+          }
+        );
+    }
+  );
+
+  test('should compile through the compiler server and stop it after the build', () => {
+    const plugin = new ClosureCompilerPlugin({
+      mode: 'STANDARD',
+      compilerServer: {
+        command: process.execPath,
+        args: [
+          path.resolve(__dirname, 'fixtures/compiler-server/closure-server.js'),
+        ],
+      },
+    });
+    return compile('esm', { minimizer: plugin }).then((stats) => {
+      expect(getDiagnostics(stats)).toEqual([]);
+      expect(plugin.compilerDaemon.process).toBeNull();
+      const page = loadInBrowser(stats, ['main.js']);
+      expect(page.logs).toEqual(['b export named export exportA exportB']);
+    });
   });
 });
@@ -0,0 +1,130 @@
+import zlib from 'zlib';
+import ClosureCompilerPlugin from '../src/closure-compiler-plugin';
+import SizeReport from '../src/size-report';
+import compile, { getDiagnostics, readAsset } from './helpers/compiler';
+
+// "var a=1;" is mapped to a.js and "var b=2;" to b.js, the newline is not mapped
+const code = 'var a=1;var b=2;\nfoo();';
+const map = {
+  version: 3,
+  sources: ['a.js', 'b.js'],
+  names: [],
+  mappings: 'AAAA,QCAA;',
+};
+
+describe('size report', () => {
+  test('should decode base64 VLQ segments', () => {
+    expect(SizeReport.decodeSegment('AAAA')).toEqual([0, 0, 0, 0]);
+    expect(SizeReport.decodeSegment('QCAA')).toEqual([8, 1, 0, 0]);
+    expect(SizeReport.decodeSegment('D')).toEqual([-1]);
+    expect(SizeReport.decodeSegment('gB')).toEqual([16]);
+    expect(SizeReport.decodeSegment('2HnB')).toEqual([123, -19]);
+  });
+
+  test('should attribute the output bytes to the sources of the source map', () => {
+    expect(Array.from(SizeReport.getSourceSizes(code, map))).toEqual([
+      ['a.js', 8],
+      ['b.js', 8],
+      [null, 7],
+    ]);
+  });
+
+  test('should report the compressed sizes of a chunk', () => {
+    const report = new SizeReport();
+    report.addChunk(
+      { chunk: 'main', file: 'main.js', inputSize: 100, source: code, map },
+      (sourcePath) => `./${sourcePath}`
+    );
+    const buffer = Buffer.from(code);
+    expect(report.toJSON()).toEqual({
+      chunks: [
+        {
+          chunk: 'main',
+          file: 'main.js',
+          inputSize: 100,
+          outputSize: buffer.length,
+          gzipSize: zlib.gzipSync(buffer, { level: 9 }).length,
+          brotliSize: zlib.brotliCompressSync
+            ? zlib.brotliCompressSync(buffer).length
+            : null,
+          modules: [
+            { source: './a.js', size: 8 },
+            { source: './b.js', size: 8 },
+            { source: null, size: 7 },
+          ],
+        },
+      ],
+    });
+  });
+
+  test('should render the report as HTML', () => {
+    const report = new SizeReport();
+    report.addChunk(
+      { chunk: 'main', file: 'main.js', inputSize: 100, source: code, map },
+      (sourcePath) => `<${sourcePath}>`
+    );
+    const html = report.toHtml();
+    expect(html).toContain('<h2>main.js</h2>');
+    expect(html).toContain(
+      `<p>Chunk main: input 100 bytes, output ${code.length} bytes, gzip `
+    );
+    expect(html).toContain(
+      '<tr><td>&lt;a.js&gt;</td><td>8</td><td><span class="bar" style="width:34.8%"></span>34.8%</td></tr>'
+    );
+    expect(html).toContain('<tr><td>(unmapped)</td><td>7</td>');
+  });
+
+  test('should emit the report of a build', () =>
+    compile('esm', {
+      minimizer: new ClosureCompilerPlugin({
+        mode: 'STANDARD',
+        sizeReport: { html: true },
+      }),
+    }).then((stats) => {
+      expect(getDiagnostics(stats)).toEqual([]);
+      const report = JSON.parse(readAsset(stats, 'closure-size-report.json'));
+      expect(report.chunks).toHaveLength(1);
+      const [chunk] = report.chunks;
+      expect(chunk.file).toBe('main.js');
+      // The source map comment is added after the report
+      expect(chunk.outputSize).toBe(
+        Buffer.byteLength(
+          readAsset(stats, 'main.js').replace(
+            /\n\/\/# sourceMappingURL=.*$/,
+            ''
+          )
+        )
+      );
+      expect(chunk.modules.map((module) => module.source)).toEqual(
+        expect.arrayContaining(['./esm/index.js', './esm/b.js'])
+      );
+      expect(
+        chunk.modules.reduce((total, module) => total + module.size, 0)
+      ).toBe(chunk.outputSize);
+      expect(readAsset(stats, 'closure-size-report.html')).toContain(
+        '<h2>main.js</h2>'
+      );
+    }));
+
+  test('should not emit source maps with devtool false', () =>
+    compile('esm', {
+      devtool: false,
+      minimizer: new ClosureCompilerPlugin({
+        mode: 'STANDARD',
+        sizeReport: true,
+      }),
+    }).then((stats) => {
+      expect(getDiagnostics(stats)).toEqual([]);
+      expect(Object.keys(stats.compilation.assets).sort()).toEqual([
+        'closure-size-report.json',
+        'main.js',
+      ]);
+      expect(readAsset(stats, 'main.js')).not.toContain('sourceMappingURL');
+      const [chunk] = JSON.parse(
+        readAsset(stats, 'closure-size-report.json')
+      ).chunks;
+      expect(chunk.modules.map((module) => module.source)).toEqual(
+        expect.arrayContaining(['./esm/index.js', './esm/b.js'])
+      );
+    }));
+});
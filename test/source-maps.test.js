@@ -0,0 +1,52 @@
+import ClosureCompilerPlugin from '../src/closure-compiler-plugin';
+import compile, { getDiagnostics, readAsset } from './helpers/compiler';
+import loadInBrowser from './helpers/browser';
+
+/**
+ * @param {!Stats} stats
+ * @return {?Object} the emitted source map of main.js
+ */
+const readSourceMap = (stats) =>
+  stats.compilation.assets['main.js.map']
+    ? JSON.parse(readAsset(stats, 'main.js.map'))
+    : null;
+
+describe('source maps', () => {
+  [
+    ['source-map', { map: true, comment: true, content: true }],
+    ['hidden-source-map', { map: true, comment: false, content: true }],
+    ['nosources-source-map', { map: true, comment: true, content: false }],
+    [false, { map: false, comment: false, content: false }],
+  ].forEach(([devtool, expected]) => {
+    test(`should follow devtool ${devtool}`, () => {
+      const plugin = new ClosureCompilerPlugin({ mode: 'STANDARD' });
+      return compile('esm', { devtool, minimizer: plugin }).then((stats) => {
+        expect(getDiagnostics(stats)).toEqual([]);
+        const code = readAsset(stats, 'main.js');
+        expect(/\/\/# sourceMappingURL=main\.js\.map/.test(code)).toBe(
+          expected.comment
+        );
+        const map = readSourceMap(stats);
+        expect(Boolean(map)).toBe(expected.map);
+        if (map) {
+          expect(map.sources).toEqual(
+            expect.arrayContaining([expect.stringMatching(/esm\/index\.js$/)])
+          );
+          expect(Boolean(map.sourcesContent)).toBe(expected.content);
+        }
+
+        const runFlags = plugin.getRunFlags(stats.compilation, {
+          create_source_map: 'main.js.map',
+          source_map_include_content: true,
+        });
+        expect(runFlags.create_source_map).toBeUndefined();
+        expect(Boolean(runFlags.source_map_include_content)).toBe(
+          expected.content
+        );
+
+        const page = loadInBrowser(stats, ['main.js']);
+        expect(page.logs).toEqual(['b export named export exportA exportB']);
+      });
+    });
+  });
+});
@@ -0,0 +1,142 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import del from 'del';
+import ClosureCompilerPlugin from '../src/closure-compiler-plugin';
+import WarningsBaseline from '../src/warnings-baseline';
+import compile from './helpers/compiler';
+
+const getKeys = (diagnostics) =>
+  diagnostics.map((diagnostic) => diagnostic.key);
+
+const getLogs = (stats, type) =>
+  (stats.compilation.logging.get('closure-compiler-plugin') || [])
+    .filter((entry) => entry.type === type)
+    .map((entry) => entry.args.join(' '));
+
+describe('warnings baseline', () => {
+  let directory;
+  let baselinePath;
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'closure-baseline-'));
+    baselinePath = path.join(directory, 'closure-warnings.json');
+  });
+  afterEach(() => del.sync(directory, { force: true }));
+
+  const build = (baseline) =>
+    compile('diagnostics', {
+      minimizer: new ClosureCompilerPlugin({
+        baseline: Object.assign({ path: baselinePath }, baseline),
+      }),
+    });
+  const readBaseline = () => JSON.parse(fs.readFileSync(baselinePath, 'utf8'));
+
+  test('should normalize line numbers out of warnings', () => {
+    expect(
+      WarningsBaseline.normalize(
+        {
+          key: 'JSC_TYPE_MISMATCH',
+          description: 'found at line 12 column 4, see a.js:12:4 ',
+        },
+        'src/a.js'
+      )
+    ).toEqual({
+      key: 'JSC_TYPE_MISMATCH',
+      source: 'src/a.js',
+      description: 'found at line N column N, see a.js',
+    });
+  });
+
+  test('should write the warnings when there is no baseline', () =>
+    build().then((stats) => {
+      expect(getKeys(stats.compilation.errors)).toEqual([]);
+      expect(getKeys(stats.compilation.warnings)).toEqual([
+        'JSC_USELESS_CODE',
+        'JSC_SUSPICIOUS_NAN',
+      ]);
+      const baseline = readBaseline();
+      expect(baseline.map((entry) => entry.key).sort()).toEqual([
+        'JSC_SUSPICIOUS_NAN',
+        'JSC_USELESS_CODE',
+      ]);
+      baseline.forEach((entry) => {
+        expect(entry.source).toBe('diagnostics/index.js');
+      });
+      expect(getLogs(stats, 'info')).toContain(
+        `Wrote 2 warning(s) to the baseline ${baselinePath}`
+      );
+    }));
+
+  test('should report known warnings as warnings', () =>
+    build()
+      .then(() => build())
+      .then((stats) => {
+        expect(getKeys(stats.compilation.errors)).toEqual([]);
+        expect(getKeys(stats.compilation.warnings)).toEqual([
+          'JSC_USELESS_CODE',
+          'JSC_SUSPICIOUS_NAN',
+        ]);
+        expect(getLogs(stats, 'warn')).toEqual([]);
+      }));
+
+  test('should report new warnings as errors', () =>
+    build()
+      .then(() => {
+        fs.writeFileSync(
+          baselinePath,
+          JSON.stringify(
+            readBaseline().filter((entry) => entry.key === 'JSC_USELESS_CODE')
+          )
+        );
+        return build();
+      })
+      .then((stats) => {
+        expect(getKeys(stats.compilation.warnings)).toEqual([
+          'JSC_USELESS_CODE',
+        ]);
+        expect(getKeys(stats.compilation.errors)).toEqual([
+          'JSC_SUSPICIOUS_NAN',
+        ]);
+        expect(stats.compilation.errors[0].message).toContain(
+          'This warning is not part of the closure-compiler warnings baseline.'
+        );
+      }));
+
+  test('should report warnings of the baseline which were fixed', () =>
+    build()
+      .then(() => {
+        fs.writeFileSync(
+          baselinePath,
+          JSON.stringify(
+            readBaseline().concat({
+              key: 'JSC_UNREACHABLE_CODE',
+              source: 'diagnostics/fixed.js',
+              description: 'unreachable code',
+              count: 2,
+            })
+          )
+        );
+        return build();
+      })
+      .then((stats) => {
+        expect(getKeys(stats.compilation.errors)).toEqual([]);
+        expect(getLogs(stats, 'warn')).toEqual([
+          `1 warning(s) in the baseline ${baselinePath} no longer occur. Update the baseline to remove them:\n` +
+            '  diagnostics/fixed.js [JSC_UNREACHABLE_CODE]: unreachable code (2 times)',
+        ]);
+      }));
+
+  test('should rewrite the baseline when updating', () => {
+    fs.writeFileSync(
+      baselinePath,
+      JSON.stringify([{ key: 'JSC_UNREACHABLE_CODE', description: 'fixed' }])
+    );
+    return build({ update: true }).then((stats) => {
+      expect(getKeys(stats.compilation.errors)).toEqual([]);
+      expect(readBaseline().map((entry) => entry.key)).not.toContain(
+        'JSC_UNREACHABLE_CODE'
+      );
+      expect(readBaseline()).toHaveLength(2);
+    });
+  });
+});
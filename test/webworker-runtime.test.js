@@ -0,0 +1,128 @@
+import fs from 'fs';
+import path from 'path';
+import vm from 'vm';
+import ClosureCompilerPlugin from '../src/closure-compiler-plugin';
+import compile, {
+  getDiagnostics,
+  readAsset,
+  webpackMajorVersion,
+} from './helpers/compiler';
+
+const testWebpack4 = webpackMajorVersion < 5 ? test : test.skip;
+
+/**
+ * Create a sandbox with the globals of a Web Worker: there is no window or document
+ * and scripts are loaded synchronously with importScripts.
+ */
+function createWorkerSandbox(scripts) {
+  const sandbox = createWorkerGlobals((url) => scripts[url]);
+  const runtimeSources = [
+    'basic-runtime.js',
+    'runtime.js',
+    'runtime-jsonp.js',
+    'runtime-webworker.js',
+  ].map((file) =>
+    fs.readFileSync(path.resolve(__dirname, '../src', file), 'utf8')
+  );
+  vm.runInContext(`var __wpcc = {};\n${runtimeSources.join('\n')}`, sandbox);
+  return sandbox;
+}
+
+/**
+ * @param {function(string): (string|undefined)} readScript
+ * @return {!Object} the global object of a Web Worker loading scripts with readScript
+ */
+function createWorkerGlobals(readScript) {
+  const sandbox = {
+    Promise,
+    setTimeout,
+    clearTimeout,
+    importedScripts: [],
+    importScripts(url) {
+      sandbox.importedScripts.push(url);
+      const script = readScript(url);
+      if (!script) {
+        throw new Error(`Failed to load ${url}`);
+      }
+      vm.runInContext(script, sandbox);
+    },
+  };
+  sandbox.self = sandbox;
+  vm.createContext(sandbox);
+  return sandbox;
+}
+
+describe('Closure: Aggressive Mode webworker runtime', () => {
+  testWebpack4('should run a build for the webworker target in a worker', () =>
+    compile('lazy', {
+      target: 'webworker',
+      minimizer: new ClosureCompilerPlugin({ mode: 'AGGRESSIVE_BUNDLE' }),
+    }).then((stats) => {
+      expect(getDiagnostics(stats)).toEqual([]);
+      const sandbox = createWorkerGlobals((url) => {
+        try {
+          return readAsset(stats, url);
+        } catch (e) {
+          return undefined; // eslint-disable-line no-undefined
+        }
+      });
+      const logs = [];
+      sandbox.console = { log: (...args) => logs.push(args.join(' ')) };
+      vm.runInContext(readAsset(stats, 'main.js'), sandbox);
+
+      // The entry chunk loads the late loaded chunk when it runs
+      const waitForLog = () =>
+        logs.length > 0
+          ? Promise.resolve()
+          : new Promise((resolve) => setTimeout(resolve, 10)).then(waitForLog);
+      return waitForLog().then(() => {
+        expect(sandbox.importedScripts).toEqual(['2.chunk.js']);
+        expect(logs).toEqual(['b export named export']);
+        expect(sandbox.webpackJsonp).toBeDefined();
+      });
+    })
+  );
+
+  test('should load chunks with importScripts', () => {
+    const sandbox = createWorkerSandbox({
+      '1.chunk.js':
+        'webpackJsonp([1], function(__wpcc) { __wpcc.loaded = "b"; });',
+    });
+    vm.runInContext('__webpack_require__.rs(1, "1.chunk.js");', sandbox);
+
+    return vm.runInContext('__webpack_require__.e(1)', sandbox).then(() => {
+      expect(sandbox.importedScripts).toEqual(['1.chunk.js']);
+      expect(vm.runInContext('__wpcc.loaded', sandbox)).toBe('b');
+    });
+  });
+
+  test('should reject when a chunk fails to load', () => {
+    const sandbox = createWorkerSandbox({});
+    vm.runInContext('__webpack_require__.rs(2, "2.chunk.js");', sandbox);
+
+    return expect(
+      vm.runInContext('__webpack_require__.e(2)', sandbox)
+    ).rejects.toThrow('Loading chunk 2 failed.');
+  });
+
+  test('should retry a chunk which failed to load', () => {
+    const sandbox = createWorkerSandbox({
+      '3.chunk.js?chunk-retry=2':
+        'webpackJsonp([3], function(__wpcc) { __wpcc.loaded = "c"; });',
+    });
+    vm.runInContext(
+      '_WEBPACK_CHUNK_LOAD_RETRIES_ = 2; _WEBPACK_CHUNK_LOAD_RETRY_DELAY_ = 1;' +
+        '__webpack_require__.rs(3, "3.chunk.js");',
+      sandbox
+    );
+
+    return vm.runInContext('__webpack_require__.e(3)', sandbox).then(() => {
+      expect(sandbox.importedScripts).toEqual([
+        '3.chunk.js',
+        '3.chunk.js?chunk-retry=1',
+        '3.chunk.js?chunk-retry=2',
+      ]);
+      expect(vm.runInContext('__wpcc.loaded', sandbox)).toBe('c');
+    });
+  });
+});